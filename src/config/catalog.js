@@ -0,0 +1,177 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { MODELS_FILE, MODEL_ENTRIES } = require('./config');
+
+// Capabilities a catalog entry may list
+const CAPABILITIES = ['chat', 'tools', 'vision', 'thinking', 'embedding'];
+
+// Context length assumed when an entry does not set one
+const DEFAULT_CONTEXT_LENGTH = 8192;
+
+// Approximate bytes per weight for common quantization levels
+const BYTES_PER_WEIGHT = { F32: 4, F16: 2, BF16: 2, Q8_0: 1.07, Q6_K: 0.82, Q5_K_M: 0.71, Q4_K_M: 0.6, Q4_0: 0.56 };
+
+// Default modified_at: when models.json last changed (stable across restarts)
+const CATALOG_MODIFIED_AT = (() => {
+  try {
+    if (!process.env.MODELS) return fs.statSync(MODELS_FILE).mtime.toISOString();
+  } catch (e) {}
+  return new Date().toISOString();
+})();
+
+/**
+ * Guesses the parameter size from a model tag, e.g. "8b-instruct" -> "8B"
+ * @param {string} name - Model name
+ * @returns {string} - Parameter size or empty string
+ */
+function inferParameterSize(name) {
+  const tag = name.split(':')[1] || '';
+  const match = tag.match(/(\d+(?:\.\d+)?)([bm])\b/i);
+  return match ? `${match[1]}${match[2].toUpperCase()}` : '';
+}
+
+/**
+ * Guesses the quantization level from a model tag, e.g. "q4_K_M" or "fp16"
+ * @param {string} name - Model name
+ * @returns {string} - Quantization level
+ */
+function inferQuantization(name) {
+  const tag = (name.split(':')[1] || '').toLowerCase();
+  if (/(^|-)(fp16|f16)$/.test(tag)) return 'F16';
+  if (/(^|-)(bf16)$/.test(tag)) return 'BF16';
+  const match = tag.match(/(^|-)(q\d[a-z0-9_]*)$/);
+  return match ? match[2].toUpperCase() : 'Q4_K_M';
+}
+
+/**
+ * Guesses capabilities from a model name
+ * @param {string} name - Model name
+ * @returns {Array<string>} - Capabilities
+ */
+function inferCapabilities(name) {
+  const lower = name.toLowerCase();
+  if (/embed|minilm|bge-|nomic/.test(lower)) return ['embedding'];
+  const capabilities = ['chat', 'tools'];
+  if (/vision|llava|-vl|gemini|gpt-4o|pixtral/.test(lower)) capabilities.push('vision');
+  if (/deepseek-r1|qwq|think|reason/.test(lower)) capabilities.push('thinking');
+  return capabilities;
+}
+
+/**
+ * Estimates the download size of a model from its parameter size and quantization
+ * @param {string} parameterSize - e.g. "7.6B" or "334M"
+ * @param {string} quantization - e.g. "Q4_K_M"
+ * @returns {number} - Size in bytes (0 when the parameter size is unknown)
+ */
+function estimateSize(parameterSize, quantization) {
+  const match = /^(\d+(?:\.\d+)?)([BM])$/i.exec(parameterSize || '');
+  if (!match) return 0;
+  const params = Number(match[1]) * (match[2].toUpperCase() === 'B' ? 1e9 : 1e6);
+  return Math.round(params * (BYTES_PER_WEIGHT[quantization] || BYTES_PER_WEIGHT.Q4_K_M));
+}
+
+/**
+ * Computes a digest that only changes when a model's metadata changes
+ * @param {Object} entry - Normalized entry (without digest)
+ * @returns {string} - SHA-256 hex digest
+ */
+function computeDigest(entry) {
+  const { modified_at: _, ...metadata } = entry;
+  return crypto.createHash('sha256').update(JSON.stringify(metadata)).digest('hex');
+}
+
+/**
+ * Normalizes a catalog entry, filling missing metadata from the model name
+ * @param {string|Object} entry - Model name or entry object
+ * @returns {Object} - Entry with name, family, parameter_size, quantization_level,
+ *   context_length, capabilities, embedding_length (if set), size, owned_by,
+ *   modified_at and digest
+ */
+function normalizeEntry(entry) {
+  const raw = typeof entry === 'string' ? { name: entry } : entry;
+  const name = raw.name;
+  const quantization = raw.quantization_level || inferQuantization(name);
+  const parameterSize = raw.parameter_size || inferParameterSize(name);
+  const capabilities = Array.isArray(raw.capabilities)
+    ? raw.capabilities.filter(c => CAPABILITIES.includes(c))
+    : inferCapabilities(name);
+
+  const normalized = {
+    name,
+    family: raw.family || name.split(':')[0],
+    parameter_size: parameterSize,
+    quantization_level: quantization,
+    context_length: raw.context_length || DEFAULT_CONTEXT_LENGTH,
+    capabilities,
+    // Vector length of embedding models, when declared
+    ...(raw.embedding_length ? { embedding_length: raw.embedding_length } : {}),
+    size: raw.size || estimateSize(parameterSize, quantization),
+    owned_by: raw.owned_by || 'library',
+    modified_at: raw.modified_at || CATALOG_MODIFIED_AT
+  };
+  return { ...normalized, digest: raw.digest || computeDigest(normalized) };
+}
+
+// Models configured in models.json or MODELS
+const CATALOG = MODEL_ENTRIES
+  .filter(entry => typeof entry === 'string' || (entry && entry.name))
+  .map(normalizeEntry);
+
+// Models found upstream by discovery and not configured
+let discovered = [];
+
+/**
+ * Replaces the discovered part of the catalog. Configured entries always win
+ * over discovered ones with the same name.
+ * @param {Array<Object>} entries - Raw discovered entries
+ */
+function setDiscoveredModels(entries) {
+  const configured = new Set(CATALOG.map(entry => entry.name));
+  const seen = new Set();
+  discovered = entries.filter(entry => {
+    if (!entry || !entry.name || configured.has(entry.name) || seen.has(entry.name)) return false;
+    seen.add(entry.name);
+    return true;
+  }).map(normalizeEntry);
+}
+
+/**
+ * Gets every catalog entry: configured models, then discovered ones
+ * @returns {Array<Object>} - Normalized entries
+ */
+function getCatalog() {
+  return [...CATALOG, ...discovered];
+}
+
+/**
+ * Gets the catalog entry for a model. As in Ollama, "name:latest" and
+ * "name" refer to the same model.
+ * @param {string} name - Model name
+ * @returns {Object|null} - Entry or null when the model is not in the catalog
+ */
+function getCatalogEntry(name) {
+  const find = candidate => CATALOG.find(entry => entry.name === candidate)
+    || discovered.find(entry => entry.name === candidate);
+  const bare = String(name || '').replace(/:latest$/, '');
+  return find(name) || (bare !== name ? find(bare) : find(`${name}:latest`)) || null;
+}
+
+/**
+ * Describes any model: its catalog entry, or metadata inferred from the name
+ * @param {string} name - Model name
+ * @returns {Object} - Normalized entry
+ */
+function describeModel(name) {
+  return getCatalogEntry(name) || normalizeEntry(name);
+}
+
+module.exports = {
+  CATALOG,
+  CAPABILITIES,
+  normalizeEntry,
+  computeDigest,
+  setDiscoveredModels,
+  getCatalog,
+  getCatalogEntry,
+  describeModel
+};
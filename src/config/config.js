@@ -1,7 +1,12 @@
 let __dotenvLoaded = false; try { require('dotenv').config(); __dotenvLoaded = true; } catch (e) {}
+const path = require('path');
+const { globToRegExp } = require('../utils/matchUtils');
 // Configuration constants
 const PORT = process.env.NODE_PORT || 3000;
 
+// Directory for state that must survive restarts (usage counters, stores)
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
 // Default provider used when none specified
 const DEFAULT_PROVIDER = process.env.DEFAULT_PROVIDER || 'vikey';
 
@@ -37,13 +42,82 @@ function parsePrefixMap(str) {
 }
 const MODEL_MAP_PREFIX = parsePrefixMap(process.env.MODEL_MAP_PREFIX);
 
-function mapModel(name) {
+// Per-route overrides, e.g. {"/api/chat": {"deepseek-r1:7b": "deepseek/deepseek-r1-distill-qwen-7b"}}
+function parseRouteMap(str) {
+  if (!str || typeof str !== 'string') return {};
+  try {
+    const parsed = JSON.parse(str);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    console.error('Invalid MODEL_ROUTE_MAP JSON:', e.message);
+    return {};
+  }
+}
+const MODEL_ROUTE_MAP = parseRouteMap(process.env.MODEL_ROUTE_MAP);
+
+/**
+ * Looks a model up in an alias map whose keys may be exact names or globs.
+ * A `*` in the target is replaced with the text matched by the first `*` in the key.
+ * @param {Object} map - Alias map (from -> to)
+ * @param {string} name - Requested model name
+ * @returns {string|null} - Mapped model or null when nothing matches
+ */
+function lookupAlias(map, name) {
+  if (Object.prototype.hasOwnProperty.call(map, name)) return map[name];
+  for (const [from, to] of Object.entries(map)) {
+    if (!/[*?]/.test(from)) continue;
+    const pattern = globToRegExp(from);
+    if (!pattern.test(name)) continue;
+    if (!to.includes('*')) return to;
+    const capture = new RegExp(pattern.source.replace('.*', '(.*)'), 'i').exec(name);
+    return to.replace('*', capture ? capture[1] : '');
+  }
+  return null;
+}
+
+/**
+ * Rewrites a model name whose prefix appears in MODEL_MAP_PREFIX (longest prefix wins)
+ * @param {string} name - Requested model name
+ * @returns {string|null} - Rewritten model or null when no prefix matches
+ */
+function lookupPrefix(name) {
+  const prefix = Object.keys(MODEL_MAP_PREFIX)
+    .filter(p => name.startsWith(p))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_MAP_PREFIX[prefix] + name.slice(prefix.length) : null;
+}
+
+/**
+ * Maps a client-facing (Ollama) model name to the upstream model ID.
+ * Resolution order: DEFAULT_MODEL, per-route override, MODEL_MAP (exact, then glob),
+ * MODEL_MAP_PREFIX, then MODEL_FALLBACK_TARGET for names not in the model catalog.
+ * @param {string} name - Requested model name
+ * @param {string} [route] - Request path, e.g. '/api/chat'
+ * @returns {string} - Upstream model name
+ */
+function mapModel(name, route) {
   if (DEFAULT_MODEL) return DEFAULT_MODEL;
+  if (!name) return MODEL_FALLBACK_TARGET || name;
+
+  const routeMap = route && MODEL_ROUTE_MAP[route];
+  const routed = routeMap ? lookupAlias(routeMap, name) : null;
+  if (routed) return routed;
+
+  const aliased = lookupAlias(MODEL_MAP, name);
+  if (aliased) return aliased;
+
+  const prefixed = lookupPrefix(name);
+  if (prefixed) return prefixed;
+
+  // Required here rather than at the top: catalog.js depends on this module
+  const { getCatalogEntry } = require('./catalog');
+  if (MODEL_FALLBACK_TARGET && !getCatalogEntry(name)) return MODEL_FALLBACK_TARGET;
   return name;
 }
 function getApiStyle(host) {
   const h = (host || '').toLowerCase();
   if (h.includes('generativelanguage.googleapis.com')) return 'gemini';
+  if (h.includes('api.anthropic.com')) return 'anthropic';
   return 'openai';
 }
 const API_STYLE = getApiStyle(URL_HOST);
@@ -54,24 +128,218 @@ function parseModelsEnv(str) {
   } catch (e) {}
   return str.split(',').map(s => s.trim()).filter(Boolean);
 }
-const SUPPORTED_MODELS = parseModelsEnv(process.env.MODELS) || require('./models.json');
+// Model catalog: names, or objects with metadata (see catalog.js)
+const MODELS_FILE = path.join(__dirname, 'models.json');
+const MODEL_ENTRIES = parseModelsEnv(process.env.MODELS) || require('./models.json');
+const SUPPORTED_MODELS = MODEL_ENTRIES
+  .map(entry => (typeof entry === 'string' ? entry : entry && entry.name))
+  .filter(Boolean);
+
+// Retry policy shared by every upstream call
+const RETRY_POLICY = {
+  maxAttempts: Math.max(1, parseInt(process.env.RETRY_MAX_ATTEMPTS || '3', 10)),
+  baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '500', 10),
+  maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || '10000', 10),
+  statusCodes: (process.env.RETRY_STATUS_CODES || '408,429,500,502,503,504')
+    .split(',').map(s => parseInt(s.trim(), 10)).filter(Number.isFinite)
+};
+
+// Upstream timeouts in ms per request kind: connect (until response headers),
+// idle (max gap between streamed chunks) and total (whole request); 0 disables
+const DEFAULT_TIMEOUTS = {
+  chat: { connect: 30000, idle: 60000, total: 300000 },
+  completions: { connect: 30000, idle: 60000, total: 300000 },
+  embeddings: { connect: 30000, idle: 60000, total: 120000 },
+  models: { connect: 30000, idle: 60000, total: 60000 }
+};
+function parseTimeouts(str) {
+  const timeouts = JSON.parse(JSON.stringify(DEFAULT_TIMEOUTS));
+  if (!str) return timeouts;
+  try {
+    Object.entries(JSON.parse(str)).forEach(([kind, values]) => {
+      timeouts[kind] = { ...(timeouts[kind] || DEFAULT_TIMEOUTS.chat), ...values };
+    });
+  } catch (e) {
+    console.error('Invalid UPSTREAM_TIMEOUTS JSON:', e.message);
+  }
+  return timeouts;
+}
+const UPSTREAM_TIMEOUTS = parseTimeouts(process.env.UPSTREAM_TIMEOUTS);
+
+// Quiet time in ms after which SSE responses get a keepalive comment; 0 disables
+const STREAM_KEEPALIVE_MS = Math.max(0, parseInt(process.env.STREAM_KEEPALIVE_MS || '15000', 10) || 0);
+
+// Ordered failover chains keyed by upstream model (or glob). Targets are
+// "model", "model@provider" or {"model": "...", "provider": "..."}
+function parseFallbacks(str) {
+  if (!str) return {};
+  try {
+    const parsed = JSON.parse(str);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    console.error('Invalid MODEL_FALLBACKS JSON:', e.message);
+    return {};
+  }
+}
+const MODEL_FALLBACKS = parseFallbacks(process.env.MODEL_FALLBACKS);
+
+// When to move on to the next target in a failover chain
+const FAILOVER_POLICY = {
+  statusCodes: (process.env.FAILOVER_STATUS_CODES || '404,408,429,500,502,503,504,529')
+    .split(',').map(s => parseInt(s.trim(), 10)).filter(Number.isFinite),
+  onTimeout: process.env.FAILOVER_ON_TIMEOUT !== 'false'
+};
+
+// Upstream model discovery: fetch each provider's model list at startup and
+// every intervalMinutes (0 = startup only), keeping names matching include
+// (empty = all) and not matching exclude
+const MODEL_DISCOVERY = {
+  enabled: process.env.MODEL_DISCOVERY === 'true',
+  intervalMinutes: parseFloat(process.env.MODEL_DISCOVERY_INTERVAL || '60'),
+  include: (process.env.MODEL_DISCOVERY_INCLUDE || '').split(',').map(s => s.trim()).filter(Boolean),
+  exclude: (process.env.MODEL_DISCOVERY_EXCLUDE || '').split(',').map(s => s.trim()).filter(Boolean)
+};
+
+// Response cache TTLs in seconds per route (0 disables caching for a route)
+const DEFAULT_CACHE_TTLS = {
+  '/api/chat': 3600,
+  '/api/generate': 3600,
+  '/v1/chat/completions': 3600,
+  '/v1/completions': 3600,
+  '/v1/messages': 3600,
+  '/v1/responses': 3600,
+  '/api/embeddings': 86400,
+  '/api/embed': 86400,
+  '/v1/embeddings': 86400,
+  '/v1/embed': 86400
+};
+function parseCacheTtls(str) {
+  if (!str) return { ...DEFAULT_CACHE_TTLS };
+  try {
+    return { ...DEFAULT_CACHE_TTLS, ...JSON.parse(str) };
+  } catch (e) {
+    console.error('Invalid CACHE_TTLS JSON:', e.message);
+    return { ...DEFAULT_CACHE_TTLS };
+  }
+}
+
+// Response cache for deterministic requests: backend ('memory', 'disk' or
+// 'none'), maximum entries and per-route TTLs
+const CACHE_POLICY = {
+  backend: process.env.CACHE_BACKEND || 'none',
+  maxEntries: Math.max(1, parseInt(process.env.CACHE_MAX_ENTRIES || '1000', 10)),
+  ttls: parseCacheTtls(process.env.CACHE_TTLS)
+};
+
+// Embedding batches: inputs per upstream request (a provider's
+// embeddingBatchSize wins) and batches in flight at once per request
+const EMBEDDING_BATCH = {
+  size: Math.max(1, parseInt(process.env.EMBEDDING_BATCH_SIZE || '100', 10)),
+  concurrency: Math.max(1, parseInt(process.env.EMBEDDING_CONCURRENCY || '4', 10))
+};
+
+// Responses kept for GET /v1/responses/:id and previous_response_id chaining
+const RESPONSE_STORE = {
+  maxEntries: Math.max(1, parseInt(process.env.RESPONSES_MAX_STORED || '1000', 10))
+};
+
+// Request body validation: stripUnknown removes fields a route's schema
+// does not list before the request reaches the controller
+const REQUEST_VALIDATION = {
+  stripUnknown: process.env.VALIDATION_STRIP_UNKNOWN === 'true'
+};
+
+// Key required by the /admin endpoints (disabled when empty)
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
 
 // Map Ollama model names to Intelligence.io model names for embeddings
-const EMBEDDING_MODEL_MAP = {
+// ("default" serves requests without a model). EMBEDDING_MODEL_MAP entries,
+// in MODEL_MAP format, are added on top.
+const DEFAULT_EMBEDDING_MODEL_MAP = {
   'hellord/mxbai-embed-large-v1:f16': 'mixedbread-ai/mxbai-embed-large-v1',
   'all-minilm': 'nomic-embed', // Default fallback for Ollama's minilm
   'all-mini': 'nomic-embed', // Handle truncated name
   'default': 'nomic-embed' // Default fallback
 };
+const EMBEDDING_MODEL_MAP = { ...DEFAULT_EMBEDDING_MODEL_MAP, ...parseModelMap(process.env.EMBEDDING_MODEL_MAP) };
+
+// Shaping of returned vectors: dimensionPolicy 'off' passes them through,
+// 'fit' truncates or zero-pads them to the declared dimension, 'strict'
+// rejects a mismatch; normalize rescales them to unit (L2) length
+const EMBEDDING_OUTPUT = {
+  dimensionPolicy: ['fit', 'strict'].includes(process.env.EMBEDDING_DIMENSION_POLICY) ? process.env.EMBEDDING_DIMENSION_POLICY : 'off',
+  normalize: process.env.EMBEDDING_NORMALIZE === 'true'
+};
+
+// Images sent by Ollama clients: images over maxImageBytes are rejected
+// before and after larger sides are downscaled to maxDimension pixels (0
+// keeps them as sent). Image URLs are fetched for Gemini only from hosts
+// matching imageUrlHosts (globs; empty disables fetching), never from
+// private addresses, and time out after fetchTimeout ms
+const VISION = {
+  maxImageBytes: Math.max(1, parseInt(process.env.VISION_MAX_IMAGE_BYTES || String(20 * 1024 * 1024), 10)),
+  maxDimension: Math.max(0, parseInt(process.env.VISION_MAX_DIMENSION || '2048', 10)),
+  imageUrlHosts: (process.env.VISION_IMAGE_URL_HOSTS || '').split(',').map(s => s.trim()).filter(Boolean),
+  fetchTimeout: Math.max(1, parseInt(process.env.VISION_FETCH_TIMEOUT_MS || '30000', 10) || 30000)
+};
+
+// Reasoning of thinking models (upstream reasoning fields and inline <think>
+// blocks): 'separate' returns it as reasoning_content / Ollama thinking,
+// 'strip' drops it
+const REASONING_OUTPUT = process.env.REASONING_OUTPUT === 'strip' ? 'strip' : 'separate';
+
+/**
+ * Maps a client-facing embedding model name to the upstream model ID.
+ * Resolution order: per-route override, then EMBEDDING_MODEL_MAP (exact,
+ * then glob; a ":latest" tag matches the bare name). Chat routing
+ * (DEFAULT_MODEL, MODEL_MAP) does not apply to embeddings.
+ * @param {string} name - Requested model name
+ * @param {string} [route] - Request path, e.g. '/api/embed'
+ * @returns {string} - Upstream model name
+ */
+function mapEmbeddingModel(name, route) {
+  if (!name) return EMBEDDING_MODEL_MAP.default || name;
+
+  const routeMap = route && MODEL_ROUTE_MAP[route];
+  const routed = routeMap ? lookupAlias(routeMap, name) : null;
+  if (routed) return routed;
+
+  return lookupAlias(EMBEDDING_MODEL_MAP, name)
+    || lookupAlias(EMBEDDING_MODEL_MAP, name.replace(/:latest$/, ''))
+    || name;
+}
 
 module.exports = {
   PORT,
+  DATA_DIR,
   DEFAULT_PROVIDER,
   URL_HOST,
   API_KEY,
   DEFAULT_MODEL,
+  MODEL_MAP,
+  MODEL_MAP_PREFIX,
+  MODEL_ROUTE_MAP,
+  MODEL_FALLBACK_TARGET,
   SUPPORTED_MODELS,
+  MODELS_FILE,
+  MODEL_ENTRIES,
   EMBEDDING_MODEL_MAP,
+  EMBEDDING_OUTPUT,
+  REASONING_OUTPUT,
+  VISION,
+  RETRY_POLICY,
+  UPSTREAM_TIMEOUTS,
+  STREAM_KEEPALIVE_MS,
+  MODEL_FALLBACKS,
+  FAILOVER_POLICY,
+  MODEL_DISCOVERY,
+  CACHE_POLICY,
+  EMBEDDING_BATCH,
+  RESPONSE_STORE,
+  REQUEST_VALIDATION,
+  ADMIN_API_KEY,
   mapModel,
+  mapEmbeddingModel,
+  getApiStyle,
   API_STYLE
 };
\ No newline at end of file
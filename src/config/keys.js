@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// Path of the client key file (JSON array or { keys: [...] })
+const KEYS_FILE = process.env.KEYS_FILE
+  ? path.resolve(process.env.KEYS_FILE)
+  : path.join(__dirname, 'keys.json');
+
+/**
+ * Normalizes a raw client key entry
+ * @param {Object|string} entry - Raw entry, or just the key string
+ * @param {number} index - Position in the file (used for unlabeled keys)
+ * @returns {Object|null} - Normalized key policy or null if the entry has no key
+ */
+function normalizeKey(entry, index) {
+  const raw = typeof entry === 'string' ? { key: entry } : (entry || {});
+  if (!raw.key) return null;
+  return {
+    key: String(raw.key),
+    label: raw.label || `key-${index + 1}`,
+    models: Array.isArray(raw.models) ? raw.models : [],
+    routes: Array.isArray(raw.routes) ? raw.routes : [],
+    limits: raw.limits && typeof raw.limits === 'object' ? raw.limits : null
+  };
+}
+
+/**
+ * Loads client keys from KEYS_FILE
+ * @returns {Array<Object>|null} - Key policies, or null when auth is disabled (no file)
+ */
+function loadKeys() {
+  if (!fs.existsSync(KEYS_FILE)) return null;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+    const entries = Array.isArray(raw) ? raw : (raw.keys || []);
+    return entries.map(normalizeKey).filter(Boolean);
+  } catch (error) {
+    // Fail closed: a broken key file must not open the proxy to everyone
+    console.error(`Failed to load client keys from ${KEYS_FILE}:`, error.message);
+    return [];
+  }
+}
+
+const CLIENT_KEYS = loadKeys();
+const AUTH_ENABLED = CLIENT_KEYS !== null;
+const KEYS_BY_VALUE = new Map((CLIENT_KEYS || []).map(k => [k.key, k]));
+
+/**
+ * Finds the policy for a client key
+ * @param {string} key - Key presented by the client
+ * @returns {Object|null} - Key policy or null if unknown
+ */
+function findKey(key) {
+  if (!key) return null;
+  return KEYS_BY_VALUE.get(key) || null;
+}
+
+module.exports = {
+  KEYS_FILE,
+  AUTH_ENABLED,
+  CLIENT_KEYS,
+  loadKeys,
+  findKey
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { matchesPattern } = require('../utils/matchUtils');
+
+// Path of the limits file
+const LIMITS_FILE = process.env.LIMITS_FILE
+  ? path.resolve(process.env.LIMITS_FILE)
+  : path.join(__dirname, 'limits.json');
+
+// Policy fields understood by the rate limiter
+const POLICY_FIELDS = ['requestsPerMinute', 'concurrentStreams', 'dailyTokens', 'monthlyTokens'];
+
+/**
+ * Keeps only known, positive numeric policy fields
+ * @param {Object} raw - Raw policy
+ * @returns {Object} - Cleaned policy
+ */
+function normalizePolicy(raw) {
+  const policy = {};
+  POLICY_FIELDS.forEach(field => {
+    const value = Number(raw && raw[field]);
+    if (Number.isFinite(value) && value > 0) policy[field] = value;
+  });
+  return policy;
+}
+
+/**
+ * Loads limits from LIMITS_FILE:
+ * { "default": {...}, "clients": { "<label>": {...} }, "models": { "<glob>": {...} } }
+ * @returns {Object} - Parsed limits (empty sections when no file exists)
+ */
+function loadLimits() {
+  const empty = { default: {}, clients: {}, models: {} };
+  if (!fs.existsSync(LIMITS_FILE)) return empty;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(LIMITS_FILE, 'utf8'));
+    const clients = {};
+    Object.entries(raw.clients || {}).forEach(([label, policy]) => { clients[label] = normalizePolicy(policy); });
+    const models = {};
+    Object.entries(raw.models || {}).forEach(([pattern, policy]) => { models[pattern] = normalizePolicy(policy); });
+    return { default: normalizePolicy(raw.default), clients, models };
+  } catch (error) {
+    console.error(`Failed to load limits from ${LIMITS_FILE}:`, error.message);
+    return empty;
+  }
+}
+
+const LIMITS = loadLimits();
+
+/**
+ * Gets the policy for a client: default, overridden by the limits file entry
+ * for its label, overridden by limits set on the key itself
+ * @param {Object|null} client - Key policy from authentication (null when anonymous)
+ * @returns {Object} - Effective policy
+ */
+function getClientPolicy(client) {
+  return {
+    ...LIMITS.default,
+    ...(client ? LIMITS.clients[client.label] : null),
+    ...(client && client.limits ? normalizePolicy(client.limits) : null)
+  };
+}
+
+/**
+ * Gets the policy for a model (first matching pattern in the limits file)
+ * @param {string} model - Requested model name
+ * @returns {Object|null} - Policy or null if no pattern matches
+ */
+function getModelPolicy(model) {
+  const pattern = Object.keys(LIMITS.models).find(p => matchesPattern(p, model));
+  return pattern ? LIMITS.models[pattern] : null;
+}
+
+module.exports = {
+  LIMITS_FILE,
+  LIMITS,
+  loadLimits,
+  getClientPolicy,
+  getModelPolicy
+};
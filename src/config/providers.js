@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PROVIDER, URL_HOST, API_KEY, MODEL_FALLBACKS, MODEL_FALLBACK_TARGET, getApiStyle } = require('./config');
+const { matchesAny, matchesPattern } = require('../utils/matchUtils');
+
+// Request kinds a provider can serve
+const ENDPOINT_KINDS = ['chat', 'completions', 'embeddings'];
+
+// Path of the provider registry file (JSON array or { providers: [...] })
+const PROVIDERS_FILE = process.env.PROVIDERS_FILE
+  ? path.resolve(process.env.PROVIDERS_FILE)
+  : path.join(__dirname, 'providers.json');
+
+/**
+ * Normalizes a raw provider entry from the registry file
+ * @param {Object} entry - Raw provider entry
+ * @param {number} index - Position in the registry (used for unnamed entries)
+ * @returns {Object} - Normalized provider
+ */
+function normalizeProvider(entry, index) {
+  const baseUrl = String(entry.baseUrl || entry.url || URL_HOST).replace(/\/+$/, '');
+  const apiKey = entry.apiKeyEnv ? (process.env[entry.apiKeyEnv] || '') : (entry.apiKey || '');
+  const endpoints = Array.isArray(entry.endpoints) && entry.endpoints.length > 0
+    ? entry.endpoints.filter(kind => ENDPOINT_KINDS.includes(kind))
+    : ENDPOINT_KINDS.slice();
+
+  return {
+    name: entry.name || `provider-${index + 1}`,
+    baseUrl,
+    apiKey,
+    apiStyle: entry.apiStyle || getApiStyle(baseUrl),
+    headers: entry.headers && typeof entry.headers === 'object' ? { ...entry.headers } : {},
+    models: Array.isArray(entry.models) ? entry.models : [],
+    endpoints,
+    embeddingBatchSize: parseInt(entry.embeddingBatchSize, 10) > 0 ? parseInt(entry.embeddingBatchSize, 10) : null,
+    nativeCompletions: entry.nativeCompletions === true
+  };
+}
+
+/**
+ * Builds the provider used when no registry file exists, from URL_HOST/API_KEY
+ * @returns {Object} - Normalized provider
+ */
+function createEnvProvider() {
+  return normalizeProvider({ name: DEFAULT_PROVIDER, baseUrl: URL_HOST, apiKey: API_KEY }, 0);
+}
+
+/**
+ * Loads the provider registry from PROVIDERS_FILE
+ * @returns {Array<Object>} - Normalized providers (never empty)
+ */
+function loadProviders() {
+  if (!fs.existsSync(PROVIDERS_FILE)) return [createEnvProvider()];
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(PROVIDERS_FILE, 'utf8'));
+    const entries = Array.isArray(raw) ? raw : (raw.providers || []);
+    const providers = entries.map(normalizeProvider);
+    if (providers.length === 0) return [createEnvProvider()];
+    return providers;
+  } catch (error) {
+    console.error(`Failed to load providers from ${PROVIDERS_FILE}:`, error.message);
+    return [createEnvProvider()];
+  }
+}
+
+const PROVIDERS = loadProviders();
+
+/**
+ * Gets a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} - Provider or null if not found
+ */
+function getProviderByName(name) {
+  return PROVIDERS.find(p => p.name === name) || null;
+}
+
+/**
+ * Gets the default provider (DEFAULT_PROVIDER, or the first registry entry)
+ * @returns {Object} - Provider
+ */
+function getDefaultProvider() {
+  return getProviderByName(DEFAULT_PROVIDER) || PROVIDERS[0];
+}
+
+/**
+ * Picks the provider that should serve a request.
+ * Providers listing the model explicitly win over catch-all providers;
+ * among equals, registry order decides.
+ * @param {string} model - Upstream model name
+ * @param {string} kind - Request kind ('chat', 'completions' or 'embeddings')
+ * @returns {Object} - Provider
+ */
+function resolveProvider(model, kind = 'chat') {
+  const candidates = PROVIDERS.filter(p => p.endpoints.includes(kind));
+  const explicit = candidates.find(p => p.models.length > 0 && matchesAny(p.models, model));
+  if (explicit) return explicit;
+
+  const defaultProvider = getDefaultProvider();
+  if (candidates.includes(defaultProvider) && defaultProvider.models.length === 0) return defaultProvider;
+
+  const catchAll = candidates.find(p => p.models.length === 0);
+  return catchAll || candidates[0] || defaultProvider;
+}
+
+/**
+ * Parses a failover target: "model", "model@provider" or { model, provider }
+ * @param {string|Object} target - Raw target
+ * @returns {Object|null} - { model, providerName } or null if invalid
+ */
+function parseTarget(target) {
+  if (target && typeof target === 'object') {
+    return target.model ? { model: target.model, providerName: target.provider || null } : null;
+  }
+  if (typeof target !== 'string' || !target) return null;
+  const at = target.lastIndexOf('@');
+  if (at > 0) return { model: target.slice(0, at), providerName: target.slice(at + 1) };
+  return { model: target, providerName: null };
+}
+
+/**
+ * Builds the ordered list of targets to try for a request: the model itself,
+ * then its MODEL_FALLBACKS chain, then MODEL_FALLBACK_TARGET as a last resort
+ * @param {string} model - Upstream model name
+ * @param {string} kind - Request kind ('chat', 'completions' or 'embeddings')
+ * @returns {Array<Object>} - Targets as { model, provider }
+ */
+function resolveTargets(model, kind = 'chat') {
+  const key = Object.prototype.hasOwnProperty.call(MODEL_FALLBACKS, model)
+    ? model
+    : Object.keys(MODEL_FALLBACKS).find(pattern => matchesPattern(pattern, model));
+  const chain = [model, ...(key ? MODEL_FALLBACKS[key] : [])];
+  if (MODEL_FALLBACK_TARGET) chain.push(MODEL_FALLBACK_TARGET);
+
+  const targets = [];
+  chain.map(parseTarget).filter(Boolean).forEach(({ model: targetModel, providerName }) => {
+    const named = providerName ? getProviderByName(providerName) : null;
+    if (providerName && !named) {
+      console.error(`Unknown provider "${providerName}" in failover chain for ${model}`);
+      return;
+    }
+    const provider = named || resolveProvider(targetModel, kind);
+    const duplicate = targets.some(t => t.model === targetModel && t.provider === provider);
+    if (!duplicate) targets.push({ model: targetModel, provider });
+  });
+  return targets;
+}
+
+module.exports = {
+  PROVIDERS,
+  PROVIDERS_FILE,
+  loadProviders,
+  getProviderByName,
+  getDefaultProvider,
+  resolveProvider,
+  resolveTargets
+};
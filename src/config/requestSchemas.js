@@ -0,0 +1,335 @@
+// Request body schemas for every route that takes a body, in the subset of
+// JSON Schema understood by utils/validationUtils. Top-level properties list
+// every field a route reads or forwards; with VALIDATION_STRIP_UNKNOWN the
+// rest are removed. Nested objects the proxy passes through (tool
+// definitions, JSON schemas, Ollama options) allow any extra fields.
+
+// Building blocks
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const INTEGER = { type: 'integer' };
+const OBJECT = { type: 'object', additionalProperties: true };
+const MODEL = { type: 'string', minLength: 1, maxLength: 256 };
+const POSITIVE_INTEGER = { type: 'integer', minimum: 1 };
+const METADATA = { type: 'object', additionalProperties: true };
+
+// Sampling parameters shared by the OpenAI-style routes
+const TEMPERATURE = { type: 'number', minimum: 0, maximum: 2 };
+const TOP_P = { type: 'number', minimum: 0, maximum: 1 };
+const PENALTY = { type: 'number', minimum: -2, maximum: 2 };
+const STOP = { type: ['string', 'array', 'null'], maxItems: 16, items: STRING };
+
+// Input accepted by the embedding routes: text, texts, token ids or lists of token ids
+const EMBEDDING_INPUT = {
+  type: ['string', 'array'],
+  minLength: 1,
+  minItems: 1,
+  maxItems: 2048,
+  items: { type: ['string', 'integer', 'array'], items: INTEGER }
+};
+
+// Function tool definitions in OpenAI chat format
+const OPENAI_TOOLS = {
+  type: 'array',
+  maxItems: 128,
+  items: {
+    type: 'object',
+    required: ['type'],
+    additionalProperties: true,
+    properties: {
+      type: { type: 'string', enum: ['function'] },
+      function: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: true,
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 64 },
+          description: STRING,
+          parameters: OBJECT,
+          strict: { type: ['boolean', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+// Ollama /api/chat
+const ollamaChat = {
+  type: 'object',
+  required: ['messages'],
+  properties: {
+    model: MODEL,
+    messages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['role'],
+        additionalProperties: true,
+        properties: {
+          role: { type: 'string', enum: ['system', 'user', 'assistant', 'tool'] },
+          content: { type: ['string', 'null'] },
+          thinking: STRING,
+          images: { type: ['array', 'null'], items: STRING },
+          tool_calls: { type: 'array', items: OBJECT },
+          tool_name: STRING
+        }
+      }
+    },
+    tools: { type: 'array', items: OBJECT },
+    format: { type: ['string', 'object'] },
+    options: OBJECT,
+    stream: BOOLEAN,
+    think: { type: ['boolean', 'string'], enum: [true, false, 'low', 'medium', 'high'] },
+    keep_alive: { type: ['string', 'number'] }
+  }
+};
+
+// Ollama /api/generate
+const ollamaGenerate = {
+  type: 'object',
+  properties: {
+    model: MODEL,
+    prompt: STRING,
+    suffix: STRING,
+    system: STRING,
+    template: STRING,
+    context: { type: 'array', items: INTEGER },
+    images: { type: ['array', 'null'], items: STRING },
+    format: { type: ['string', 'object'] },
+    options: OBJECT,
+    stream: BOOLEAN,
+    raw: BOOLEAN,
+    think: { type: ['boolean', 'string'], enum: [true, false, 'low', 'medium', 'high'] },
+    keep_alive: { type: ['string', 'number'] }
+  }
+};
+
+// Ollama /api/embeddings (legacy: prompt) and /api/embed (input)
+const ollamaEmbeddings = {
+  type: 'object',
+  properties: {
+    model: MODEL,
+    prompt: STRING,
+    input: EMBEDDING_INPUT,
+    truncate: BOOLEAN,
+    dimensions: POSITIVE_INTEGER,
+    options: OBJECT,
+    keep_alive: { type: ['string', 'number'] }
+  }
+};
+
+// Ollama model management routes, which name the model as `model` or `name`
+const ollamaModel = {
+  type: 'object',
+  properties: {
+    model: MODEL,
+    name: MODEL,
+    verbose: BOOLEAN,
+    insecure: BOOLEAN,
+    stream: BOOLEAN
+  }
+};
+
+// Ollama /api/copy
+const ollamaCopy = {
+  type: 'object',
+  required: ['source', 'destination'],
+  properties: {
+    source: MODEL,
+    destination: MODEL
+  }
+};
+
+// Ollama /api/create
+const ollamaCreate = {
+  type: 'object',
+  properties: {
+    model: MODEL,
+    name: MODEL,
+    from: MODEL,
+    modelfile: STRING,
+    system: STRING,
+    template: STRING,
+    parameters: OBJECT,
+    quantize: STRING,
+    stream: BOOLEAN
+  }
+};
+
+// OpenAI /v1/chat/completions
+const openaiChat = {
+  type: 'object',
+  required: ['messages'],
+  properties: {
+    model: MODEL,
+    messages: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['role'],
+        additionalProperties: true,
+        properties: {
+          role: { type: 'string', enum: ['system', 'developer', 'user', 'assistant', 'tool', 'function'] },
+          content: {
+            type: ['string', 'array', 'null'],
+            items: {
+              type: 'object',
+              required: ['type'],
+              additionalProperties: true,
+              properties: {
+                type: { type: 'string', enum: ['text', 'image_url', 'input_audio', 'file', 'refusal'] },
+                text: STRING
+              }
+            }
+          },
+          name: STRING,
+          tool_calls: { type: 'array', items: OBJECT },
+          tool_call_id: STRING
+        }
+      }
+    },
+    stream: BOOLEAN,
+    stream_options: { type: ['object', 'null'], additionalProperties: true },
+    temperature: TEMPERATURE,
+    top_p: TOP_P,
+    n: { type: 'integer', minimum: 1, maximum: 128 },
+    stop: STOP,
+    max_tokens: { type: ['integer', 'null'], minimum: 1 },
+    max_completion_tokens: { type: ['integer', 'null'], minimum: 1 },
+    presence_penalty: PENALTY,
+    frequency_penalty: PENALTY,
+    logit_bias: { type: ['object', 'null'], additionalProperties: true },
+    logprobs: { type: ['boolean', 'null'] },
+    top_logprobs: { type: ['integer', 'null'], minimum: 0, maximum: 20 },
+    seed: { type: ['integer', 'null'] },
+    user: STRING,
+    tools: OPENAI_TOOLS,
+    tool_choice: { type: ['string', 'object'] },
+    parallel_tool_calls: BOOLEAN,
+    response_format: {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: true,
+      properties: {
+        type: { type: 'string', enum: ['text', 'json_object', 'json_schema'] }
+      }
+    },
+    reasoning_effort: { type: 'string', enum: ['minimal', 'low', 'medium', 'high'] },
+    modalities: { type: 'array', items: STRING },
+    metadata: METADATA,
+    store: { type: ['boolean', 'null'] },
+    service_tier: { type: ['string', 'null'] },
+    top_k: { type: 'integer', minimum: 0 }
+  }
+};
+
+// OpenAI /v1/completions
+const openaiCompletions = {
+  type: 'object',
+  properties: {
+    model: MODEL,
+    prompt: { type: ['string', 'array'], items: { type: ['string', 'integer', 'array'] } },
+    suffix: { type: ['string', 'null'] },
+    stream: BOOLEAN,
+    stream_options: { type: ['object', 'null'], additionalProperties: true },
+    temperature: TEMPERATURE,
+    top_p: TOP_P,
+    n: { type: 'integer', minimum: 1, maximum: 128 },
+    best_of: { type: 'integer', minimum: 1 },
+    stop: STOP,
+    max_tokens: { type: ['integer', 'null'], minimum: 0 },
+    presence_penalty: PENALTY,
+    frequency_penalty: PENALTY,
+    logit_bias: { type: ['object', 'null'], additionalProperties: true },
+    logprobs: { type: ['integer', 'null'], minimum: 0, maximum: 5 },
+    echo: BOOLEAN,
+    seed: { type: ['integer', 'null'] },
+    user: STRING
+  }
+};
+
+// OpenAI /v1/embeddings and /v1/embed
+const openaiEmbeddings = {
+  type: 'object',
+  required: ['model', 'input'],
+  properties: {
+    model: MODEL,
+    input: EMBEDDING_INPUT,
+    encoding_format: { type: 'string', enum: ['float', 'base64'] },
+    dimensions: POSITIVE_INTEGER,
+    user: STRING
+  }
+};
+
+// OpenAI /v1/responses (input may be left out when continuing a stored response)
+const openaiResponses = {
+  type: 'object',
+  properties: {
+    model: MODEL,
+    input: { type: ['string', 'array'], items: OBJECT },
+    instructions: { type: ['string', 'null'] },
+    previous_response_id: { type: ['string', 'null'] },
+    stream: BOOLEAN,
+    store: BOOLEAN,
+    temperature: TEMPERATURE,
+    top_p: TOP_P,
+    max_output_tokens: { type: ['integer', 'null'], minimum: 1 },
+    text: OBJECT,
+    tools: { type: 'array', maxItems: 128, items: { type: 'object', required: ['type'], additionalProperties: true } },
+    tool_choice: { type: ['string', 'object'] },
+    parallel_tool_calls: BOOLEAN,
+    reasoning: OBJECT,
+    metadata: METADATA,
+    user: STRING
+  }
+};
+
+// Anthropic /v1/messages and /v1/messages/count_tokens
+const anthropicMessages = {
+  type: 'object',
+  required: ['messages'],
+  properties: {
+    model: MODEL,
+    messages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['role', 'content'],
+        additionalProperties: true,
+        properties: {
+          role: { type: 'string', enum: ['user', 'assistant'] },
+          content: {
+            type: ['string', 'array'],
+            items: { type: 'object', required: ['type'], additionalProperties: true }
+          }
+        }
+      }
+    },
+    system: { type: ['string', 'array'], items: OBJECT },
+    max_tokens: POSITIVE_INTEGER,
+    temperature: { type: 'number', minimum: 0, maximum: 1 },
+    top_p: TOP_P,
+    top_k: { type: 'integer', minimum: 0 },
+    stop_sequences: { type: 'array', items: STRING },
+    stream: BOOLEAN,
+    tools: { type: 'array', items: { type: 'object', required: ['name'], additionalProperties: true } },
+    tool_choice: { type: 'object', required: ['type'], additionalProperties: true },
+    thinking: OBJECT,
+    metadata: METADATA
+  }
+};
+
+module.exports = {
+  ollamaChat,
+  ollamaGenerate,
+  ollamaEmbeddings,
+  ollamaModel,
+  ollamaCopy,
+  ollamaCreate,
+  openaiChat,
+  openaiCompletions,
+  openaiEmbeddings,
+  openaiResponses,
+  anthropicMessages
+};
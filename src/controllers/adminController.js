@@ -0,0 +1,19 @@
+const { syncModels } = require('../utils/modelDiscovery');
+
+/**
+ * Handler for POST /admin/models/sync endpoint: re-runs upstream model discovery
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function syncModelList(req, res, next) {
+  try {
+    res.json(await syncModels());
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  syncModelList
+};
@@ -0,0 +1,95 @@
+const { markModelActive } = require('../utils/modelUtils');
+const { mapModel, DEFAULT_MODEL } = require('../config/config');
+const { resolveLocalModel } = require('../utils/localModelStore');
+const { createClientSignal, makeChatRequest, setServedByHeaders } = require('../utils/apiUtils');
+const { withResponseCache } = require('../utils/responseCache');
+const { streamToClient } = require('../utils/streamUtils');
+const { estimateTokens, estimateMessagesTokens, buildUsage, recordUsage } = require('../utils/metricsUtils');
+const {
+  toOpenAIChatMessages,
+  toOpenAIChatParams,
+  toAnthropicMessage,
+  formatEvent,
+  createAnthropicStreamTransform
+} = require('../utils/anthropicUtils');
+
+/**
+ * Translates an Anthropic Messages request body into OpenAI chat messages and parameters
+ * @param {Object} body - Request body
+ * @returns {Object} - { messages, params }
+ */
+function toChatRequest(body) {
+  return {
+    messages: toOpenAIChatMessages(body.system, body.messages),
+    params: toOpenAIChatParams(body)
+  };
+}
+
+/**
+ * Estimates the input tokens of a translated request, tool definitions included
+ * @param {Array} messages - OpenAI chat messages
+ * @param {Object} params - OpenAI-style parameters
+ * @returns {number} - Estimated token count
+ */
+function estimateInputTokens(messages, params) {
+  return estimateMessagesTokens(messages) + estimateTokens(params.tools);
+}
+
+/**
+ * Handler for POST /v1/messages endpoint (Anthropic Messages API)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function messages(req, res, next) {
+  const body = req.body;
+
+  try {
+    const { model, stream = false } = body;
+    const chosenModel = mapModel(resolveLocalModel(model || DEFAULT_MODEL), req.path);
+    const { messages: chatMessages, params } = toChatRequest(body);
+    const promptTokens = estimateInputTokens(chatMessages, params);
+
+    const response = await withResponseCache(req, res, { kind: 'chat', model: chosenModel, input: chatMessages, params, stream },
+      () => makeChatRequest(chosenModel, chatMessages, stream, params, 'chat', createClientSignal(res)));
+
+    setServedByHeaders(res, response);
+    markModelActive(model);
+
+    if (stream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      streamToClient(res, response.data, {
+        transforms: [createAnthropicStreamTransform(model, promptTokens, usage => recordUsage(res, usage))],
+        formatError: message => formatEvent('error', { error: { type: 'api_error', message } }),
+        keepalive: true,
+        label: 'messages endpoint'
+      });
+    } else {
+      const content = response.data.choices?.[0]?.message?.content;
+      const usage = buildUsage(response.data.usage, promptTokens, content);
+      recordUsage(res, usage);
+      res.json(toAnthropicMessage(model, response.data, usage));
+    }
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Handler for POST /v1/messages/count_tokens endpoint. The count is a local
+ * estimate; upstreams expose no tokenizer.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function countTokens(req, res) {
+  const { messages: chatMessages, params } = toChatRequest(req.body);
+  res.json({ input_tokens: estimateInputTokens(chatMessages, params) });
+}
+
+module.exports = {
+  messages,
+  countTokens
+};
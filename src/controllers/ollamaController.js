@@ -1,6 +1,28 @@
-const { getModelList, transformChatResponse } = require('../utils/modelUtils');
-const { mapModel, DEFAULT_MODEL, API_STYLE } = require('../config/config');
-const { makeChatRequest, makeCompletionRequest, makeEmbeddingsRequest } = require('../utils/apiUtils');
+const { getModelList, getRunningModels, getModelInfo, parseModelfile, isKnownModel, markModelActive, createModelObject, transformChatResponse } = require('../utils/modelUtils');
+const { mapModel, mapEmbeddingModel, DEFAULT_MODEL } = require('../config/config');
+const { getCatalogEntry, describeModel } = require('../config/catalog');
+const { getLocalModel, saveLocalModel, deleteLocalModel, unhideModel, resolveLocalModel } = require('../utils/localModelStore');
+const { createClientSignal, makeChatRequest, makeCompletionRequest, makeEmbeddingsRequest, setServedByHeaders } = require('../utils/apiUtils');
+const { toOpenAIMessages, createToolCallAccumulator } = require('../utils/toolUtils');
+const { withLocalModelDefaults, toOpenAIParams, toGenerateMessages, toVisionMessages, toDoneReason } = require('../utils/ollamaUtils');
+const { createReasoningParser, separateReasoning, isReasoningReturned } = require('../utils/reasoningUtils');
+const { withResponseCache } = require('../utils/responseCache');
+const { toEmbeddingItems, findOversizedItems, truncateItems, shapeEmbeddings } = require('../utils/embeddingUtils');
+const { estimateTokens, estimateMessagesTokens, buildUsage, recordUsage, createRequestTimer } = require('../utils/metricsUtils');
+const { createSSETransform, streamToClient } = require('../utils/streamUtils');
+const { sendError } = require('../utils/errorUtils');
+
+// Pause between progress updates streamed by /api/pull and /api/create
+const PROGRESS_STEP_MS = 100;
+
+/**
+ * Formats the final NDJSON line sent when the upstream fails mid-stream
+ * @param {string} message - Error message
+ * @returns {string} - NDJSON line
+ */
+function formatStreamError(message) {
+  return JSON.stringify({ error: message }) + '\n';
+}
 
 /**
  * Handler for GET /api/tags endpoint
@@ -15,61 +37,79 @@ function getModels(req, res) {
  * Handler for POST /api/chat endpoint
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function chat(req, res) {
+async function chat(req, res, next) {
   try {
-    const { model, messages, stream = true, ...otherParams } = req.body;
-    const chosenModel = mapModel(model || DEFAULT_MODEL);
-    const wantsStream = stream && API_STYLE !== 'gemini';
-    const response = await makeChatRequest(chosenModel, messages, wantsStream, otherParams);
+    // A created model's system prompt and parameters apply unless the request sets its own
+    const body = withLocalModelDefaults(req.body, getLocalModel(req.body.model));
+    const { model, messages, stream = true, think } = body;
+    const chosenModel = mapModel(resolveLocalModel(model || DEFAULT_MODEL), req.path);
+    const params = toOpenAIParams(body);
+    const timer = createRequestTimer();
+    const chatMessages = await toVisionMessages(toOpenAIMessages(messages));
+    const response = await withResponseCache(req, res, { kind: 'chat', model: chosenModel, input: messages, params, stream },
+      () => makeChatRequest(chosenModel, chatMessages, stream, params, 'chat', createClientSignal(res)));
+    setServedByHeaders(res, response);
+    markModelActive(model, body.keep_alive);
     
-    if (wantsStream) {
-      let buffer = '';
+    if (stream) {
+      let completionText = '';
+      let upstreamUsage = null;
+      let finishReason = null;
+      const toolCalls = createToolCallAccumulator();
+      let toolCallsSent = false;
+      const reasoningParser = createReasoningParser();
+
+      // Reasoning is sent as message.thinking when the client asked to think
+      const writeMessage = (output, { content, reasoning }) => {
+        const message = { role: "assistant", content };
+        if (think && reasoning && isReasoningReturned()) message.thinking = reasoning;
+        if (!content && !message.thinking) return;
+        output.push(JSON.stringify({
+          model: chosenModel || "meta-llama/Meta-Llama-3-8B-Instruct",
+          created_at: new Date().toISOString(),
+          message,
+          done: false
+        }) + '\n');
+      };
+
+      // Tool call arguments arrive in fragments; emit them once complete
+      const flushToolCalls = output => {
+        if (toolCallsSent || !toolCalls.hasCalls()) return;
+        toolCallsSent = true;
+        output.push(JSON.stringify({
+          model: chosenModel,
+          created_at: new Date().toISOString(),
+          message: { role: "assistant", content: "", tool_calls: toolCalls.toOllama() },
+          done: false
+        }) + '\n');
+      };
       
-      response.data.on('data', chunk => {
-        try {
-          // Append the new chunk to our buffer
-          buffer += chunk.toString();
-          
-          // Process any complete messages in the buffer
-          while (true) {
-            const messageEnd = buffer.indexOf('\n');
-            if (messageEnd === -1) break; // No complete message yet
-            
-            const message = buffer.slice(0, messageEnd);
-            buffer = buffer.slice(messageEnd + 1);
-            
-            // Skip empty messages
-            if (!message.trim()) continue;
-            
-            // Remove 'data: ' prefix if present and parse the JSON
-            const jsonStr = message.replace(/^data: /, '');
-            
-            // Skip [DONE] message
-            if (jsonStr.trim() === '[DONE]') continue;
-            
-            const vikeyResponse = JSON.parse(jsonStr);
-            const streamResponse = {
-              model: chosenModel || "meta-llama/Meta-Llama-3-8B-Instruct",
-              created_at: new Date().toISOString(),
-              message: {
-                role: "assistant",
-                content: vikeyResponse.choices[0].delta.content || ""
-              },
-              done: false
-            };
-            
-            // Send the JSON response
-            res.header('Content-Type', 'application/json');
-            res.write(JSON.stringify(streamResponse) + '\n');
-          }
-        } catch (error) {
-          console.error('Error processing stream chunk:', error);
-          console.log('Problematic chunk:', chunk.toString());
+      const handleChunk = (output, vikeyResponse) => {
+        if (vikeyResponse.usage) upstreamUsage = vikeyResponse.usage;
+        const choice = vikeyResponse.choices?.[0];
+        if (!choice) return;
+        const delta = choice.delta || {};
+
+        const parsed = reasoningParser.push(delta);
+        if (parsed.content || parsed.reasoning || delta.tool_calls) timer.markFirstToken();
+        completionText += parsed.content + parsed.reasoning;
+        if (delta.tool_calls) toolCalls.add(delta.tool_calls);
+        if (parsed.content || parsed.reasoning) writeMessage(output, parsed);
+        if (choice.finish_reason) {
+          finishReason = choice.finish_reason;
+          flushToolCalls(output);
         }
-      });
+      };
 
-      response.data.on('end', () => {
+      const finish = output => {
+        const rest = reasoningParser.flush();
+        completionText += rest.content + rest.reasoning;
+        if (rest.content || rest.reasoning) writeMessage(output, rest);
+        flushToolCalls(output);
+        const usage = buildUsage(upstreamUsage, estimateMessagesTokens(messages), completionText);
+        recordUsage(res, usage);
         const finalResponse = {
           model: chosenModel || "qwen2.5:0.5b",
           created_at: new Date().toISOString(),
@@ -78,28 +118,33 @@ async function chat(req, res) {
             content: ""
           },
           done: true,
-          done_reason: "stop",
-          total_duration: Math.floor(Math.random() * 20000000000),
-          load_duration: Math.floor(Math.random() * 3000000000),
-          prompt_eval_count: Math.floor(Math.random() * 50) + 10,
-          prompt_eval_duration: Math.floor(Math.random() * 500000000),
-          eval_count: Math.floor(Math.random() * 1000) + 100,
-          eval_duration: Math.floor(Math.random() * 17000000000)
+          done_reason: toDoneReason(finishReason),
+          ...timer.toOllamaMetrics(usage)
         };
         
         // Send the final JSON response
-        res.write(JSON.stringify(finalResponse) + '\n');
-        res.end();
+        output.push(JSON.stringify(finalResponse) + '\n');
+      };
+
+      res.header('Content-Type', 'application/x-ndjson');
+      streamToClient(res, response.data, {
+        transforms: [createSSETransform(handleChunk, finish)],
+        formatError: formatStreamError,
+        label: 'chat endpoint'
       });
     } else {
       // For non-streaming, transform the response to match Ollama format
       const vikeyResponse = response.data;
       vikeyResponse.model = chosenModel;
-      res.json(transformChatResponse(chosenModel, messages, vikeyResponse));
+      const ollamaResponse = transformChatResponse(chosenModel, messages, vikeyResponse, timer, think);
+      recordUsage(res, buildUsage({
+        prompt_tokens: ollamaResponse.prompt_eval_count,
+        completion_tokens: ollamaResponse.eval_count
+      }));
+      res.json(ollamaResponse);
     }
   } catch (error) {
-    console.error('Error in chat endpoint:', error.message);
-    res.status(500).json({ error: 'Failed to proxy request', details: error.message });
+    next(error);
   }
 }
 
@@ -107,66 +152,112 @@ async function chat(req, res) {
  * Handler for POST /api/generate endpoint
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function generate(req, res) {
+async function generate(req, res, next) {
   try {
-    // Parse request body if necessary
-    const body = parseRequestBody(req);
+    // Parse request body if necessary; a created model's system prompt,
+    // template and parameters apply unless the request sets its own
+    const requestBody = parseRequestBody(req);
+    const body = withLocalModelDefaults(requestBody, getLocalModel(requestBody.model));
     
     // Extract parameters with fallbacks
-    const model = mapModel(body.model || DEFAULT_MODEL);
+    const model = mapModel(resolveLocalModel(body.model || DEFAULT_MODEL), req.path);
     const prompt = body.prompt || '';
     const stream = body.stream === false ? false : true;
-    const { model: _, prompt: __, stream: ___, ...otherParams } = body;
+    const params = toOpenAIParams(body);
     
     console.log('Generate with model:', model);
     console.log('Prompt:', prompt);
     
-    const wantsStream = stream && API_STYLE !== 'gemini';
-    const response = await makeCompletionRequest(model, prompt, wantsStream, otherParams);
+    // Fill-in-the-middle needs a real completions endpoint; everything else
+    // goes out as chat messages built from system, template and raw
+    const messages = body.suffix ? null : await toVisionMessages(toGenerateMessages(body));
+    const promptTokens = messages ? estimateMessagesTokens(messages) : estimateTokens(prompt);
+    const timer = createRequestTimer();
+    const response = await withResponseCache(req, res, { kind: 'completions', model, input: messages || { prompt, suffix: body.suffix }, params, stream },
+      () => (messages
+        ? makeChatRequest(model, messages, stream, params, 'completions', createClientSignal(res))
+        : makeCompletionRequest(model, prompt, stream, { ...params, suffix: body.suffix }, createClientSignal(res))));
+    setServedByHeaders(res, response);
+    markModelActive(body.model, body.keep_alive);
     
-    if (wantsStream) {
-      // For streaming response, pipe the response stream directly
-      response.data.pipe(res);
+    if (stream) {
+      let completionText = '';
+      let upstreamUsage = null;
+      let finishReason = null;
+      const reasoningParser = createReasoningParser();
+
+      // Reasoning is sent as thinking when the client asked to think
+      const writeResponse = (output, { content, reasoning }) => {
+        const thinking = body.think && reasoning && isReasoningReturned() ? reasoning : '';
+        if (!content && !thinking) return;
+        output.push(JSON.stringify({
+          model,
+          created_at: new Date().toISOString(),
+          response: content,
+          ...(thinking ? { thinking } : {}),
+          done: false
+        }) + '\n');
+      };
+
+      // Convert each upstream SSE chunk into an Ollama NDJSON chunk
+      const handleChunk = (output, vikeyResponse) => {
+        if (vikeyResponse.usage) upstreamUsage = vikeyResponse.usage;
+        const choice = vikeyResponse.choices?.[0];
+        if (!choice) return;
+        if (choice.finish_reason) finishReason = choice.finish_reason;
+        const parsed = reasoningParser.push(choice.text !== undefined ? { content: choice.text, reasoning_content: choice.reasoning_content } : choice.delta);
+        if (!parsed.content && !parsed.reasoning) return;
+        timer.markFirstToken();
+        completionText += parsed.content + parsed.reasoning;
+        writeResponse(output, parsed);
+      };
+
+      const finish = output => {
+        const rest = reasoningParser.flush();
+        completionText += rest.content + rest.reasoning;
+        if (rest.content || rest.reasoning) writeResponse(output, rest);
+        const usage = buildUsage(upstreamUsage, promptTokens, completionText);
+        recordUsage(res, usage);
+        output.push(JSON.stringify({
+          model,
+          created_at: new Date().toISOString(),
+          response: '',
+          done: true,
+          done_reason: toDoneReason(finishReason),
+          ...timer.toOllamaMetrics(usage)
+        }) + '\n');
+      };
+
+      res.header('Content-Type', 'application/x-ndjson');
+      streamToClient(res, response.data, {
+        transforms: [createSSETransform(handleChunk, finish)],
+        formatError: formatStreamError,
+        label: 'generate endpoint'
+      });
     } else {
       // For non-streaming, transform the response to match Ollama format
-      const vikeyResponse = response.data;
+      const choice = response.data.choices?.[0] || {};
+      const separated = separateReasoning(choice.message || { content: choice.text ?? '', reasoning_content: choice.reasoning_content }, body.think ? 'thinking' : null);
+      const text = separated.content || '';
+      const usage = buildUsage(response.data.usage, promptTokens, text + (separated.thinking || ''));
+      recordUsage(res, usage);
       
-      // Create a response in the specified format
-      const ollamaResponse = {
+      // No context is returned: upstreams expose no token ids to continue from
+      res.json({
         model: model,
         created_at: new Date().toISOString(),
-        response: vikeyResponse.choices[0].message.content,
+        response: text,
+        ...(separated.thinking ? { thinking: separated.thinking } : {}),
         done: true,
-        done_reason: "stop",
-        context: generateRandomContext(500), // Generate fake context tokens
-        total_duration: Math.floor(Math.random() * 15000000000),
-        load_duration: Math.floor(Math.random() * 60000000),
-        prompt_eval_count: prompt.length > 0 ? Math.floor(prompt.length / 10) : 39,
-        prompt_eval_duration: Math.floor(Math.random() * 50000000),
-        eval_count: Math.floor(Math.random() * 500) + 100,
-        eval_duration: Math.floor(Math.random() * 14000000000)
-      };
-      
-      res.json(ollamaResponse);
+        done_reason: toDoneReason(choice.finish_reason),
+        ...timer.toOllamaMetrics(usage)
+      });
     }
   } catch (error) {
-    console.error('Error in generate endpoint:', error.message);
-    res.status(500).json({ error: 'Failed request', details: error.message });
-  }
-}
-
-/**
- * Generate random context tokens (fake token IDs)
- * @param {number} count - Number of tokens to generate
- * @returns {Array} - Array of token IDs
- */
-function generateRandomContext(count) {
-  const context = [];
-  for (let i = 0; i < count; i++) {
-    context.push(Math.floor(Math.random() * 100000));
+    next(error);
   }
-  return context;
 }
 
 /**
@@ -223,8 +314,9 @@ function parseRequestBody(req) {
  * Handler for POST /api/embeddings endpoint
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function embeddings(req, res) {
+async function embeddings(req, res, next) {
   try {
     // Parse request body regardless of content-type
     const body = parseRequestBody(req);
@@ -233,36 +325,36 @@ async function embeddings(req, res) {
     const model = body.model || 'all-minilm';
     const prompt = body.prompt || body.input;
     const input = body.input || body.prompt;
-    const textToEmbed = input || prompt || '';
+    const textToEmbed = [].concat(input || prompt || '')[0];
     
     console.log('Extracted model:', model);
     console.log('Extracted text to embed:', textToEmbed);
     
     if (!model) {
-      return res.status(400).json({ 
-        error: 'Missing required parameter: "model"' 
-      });
+      return sendError(req, res, 400, 'Missing required parameter: "model"', { code: 'missing_required_parameter', param: 'model' });
     }
     
     if (!textToEmbed) {
-      return res.status(400).json({ 
-        error: 'Missing required parameter: Either "prompt" or "input" must be provided' 
-      });
+      return sendError(req, res, 400, 'Missing required parameter: Either "prompt" or "input" must be provided', { code: 'missing_required_parameter', param: 'prompt' });
     }
     
-    // Remove model and input/prompt from otherParams
-    const { model: _, prompt: __, input: ___, ...otherParams } = body;
+    const baseModel = resolveLocalModel(model);
+    const upstreamModel = mapEmbeddingModel(baseModel, req.path);
     
-    const response = await makeEmbeddingsRequest(model, textToEmbed, otherParams);
+    // The legacy endpoint embeds a single text; Ollama-only options stay local
+    const response = await withResponseCache(req, res, { kind: 'embeddings', model: upstreamModel, input: textToEmbed, params: {} },
+      () => makeEmbeddingsRequest(upstreamModel, textToEmbed, {}, createClientSignal(res)));
+    markModelActive(model, body.keep_alive);
     
     // Transform the intelligence.io response to Ollama format
     const intelligenceResponse = response.data;
+    const [embedding] = shapeEmbeddings(intelligenceResponse.data.map(entry => entry.embedding), describeModel(baseModel).embedding_length);
+    recordUsage(res, buildUsage(intelligenceResponse.usage, estimateTokens(textToEmbed), ''));
     res.json({
-      embeddings: [intelligenceResponse.data[0].embedding]
+      embedding: embedding || []
     });
   } catch (error) {
-    console.error('Error in embeddings endpoint:', error.message);
-    res.status(500).json({ error: 'Failed request', details: error.message });
+    next(error);
   }
 }
 
@@ -270,8 +362,9 @@ async function embeddings(req, res) {
  * Handler for POST /api/embed endpoint (new endpoint alias for embeddings)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function embed(req, res) {
+async function embed(req, res, next) {
   try {
     // Log the request info for debugging
     console.log('Embed Request URL:', req.url);
@@ -295,25 +388,189 @@ async function embed(req, res) {
     
     // Validate required parameters (with more forgiving validation)
     if (!textToEmbed) {
-      return res.status(400).json({ 
-        error: 'Missing required parameter: Either "prompt" or "input" must be provided' 
-      });
+      return sendError(req, res, 400, 'Missing required parameter: Either "prompt" or "input" must be provided', { code: 'missing_required_parameter', param: 'input' });
     }
     
-    // Remove model and input/prompt from otherParams
-    const { model: _, prompt: __, input: ___, ...otherParams } = body;
+    // Inputs longer than the model's context are cut (truncate, the default)
+    // or rejected, as Ollama does
+    const items = toEmbeddingItems(textToEmbed);
+    const baseModel = resolveLocalModel(model);
+    const upstreamModel = mapEmbeddingModel(baseModel, req.path);
+    const { context_length: contextLength, embedding_length: embeddingLength } = describeModel(baseModel);
+    const truncate = body.truncate !== false;
+    if (!truncate && findOversizedItems(items, contextLength).length > 0) {
+      return sendError(req, res, 400, 'input length exceeds maximum context length', { code: 'context_length_exceeded', param: 'input' });
+    }
+    const inputs = truncate ? truncateItems(items, contextLength) : items;
+    const params = body.dimensions ? { dimensions: body.dimensions } : {};
     
-    const response = await makeEmbeddingsRequest(model, textToEmbed, otherParams);
+    const timer = createRequestTimer();
+    const response = await withResponseCache(req, res, { kind: 'embeddings', model: upstreamModel, input: inputs, params },
+      () => makeEmbeddingsRequest(upstreamModel, inputs, params, createClientSignal(res)));
+    markModelActive(model, body.keep_alive);
     
-    // Transform the intelligence.io response to Ollama format
+    // Transform the intelligence.io response to Ollama format: one vector per input, in order
     const intelligenceResponse = response.data;
+    const usage = buildUsage(intelligenceResponse.usage, inputs.reduce((sum, item) => sum + estimateTokens(item), 0), '');
+    recordUsage(res, usage);
+    const { total_duration, load_duration, prompt_eval_count } = timer.toOllamaMetrics(usage);
     res.json({
-      embeddings: [intelligenceResponse.data[0].embedding]
+      model,
+      embeddings: shapeEmbeddings(intelligenceResponse.data.map(entry => entry.embedding), body.dimensions || embeddingLength),
+      total_duration,
+      load_duration,
+      prompt_eval_count
     });
   } catch (error) {
-    console.error('Error in embed endpoint:', error.message);
-    res.status(500).json({ error: 'Failed request', details: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Gets the model name from an Ollama model-management request (`model`, or the older `name`)
+ * @param {Object} body - Request body
+ * @returns {string} - Model name
+ */
+function getRequestModelName(body) {
+  return body.model || body.name || '';
+}
+
+/**
+ * Writes Ollama progress statuses as NDJSON, pausing between them like a
+ * real transfer; without streaming only the final status is sent
+ * @param {Object} res - Express response object
+ * @param {boolean} stream - Whether to stream progress
+ * @param {Array<Object>} statuses - Progress objects, the last being the final status
+ */
+async function sendProgress(res, stream, statuses) {
+  if (!stream) return res.json(statuses[statuses.length - 1]);
+  res.header('Content-Type', 'application/x-ndjson');
+  for (const status of statuses) {
+    if (res.destroyed) return;
+    res.write(JSON.stringify(status) + '\n');
+    await new Promise(resolve => setTimeout(resolve, PROGRESS_STEP_MS));
+  }
+  res.end();
+}
+
+/**
+ * Handler for POST /api/show endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function show(req, res) {
+  const body = parseRequestBody(req);
+  const name = getRequestModelName(body);
+  if (!isKnownModel(name)) {
+    return sendError(req, res, 404, `model '${name}' not found`, { code: 'model_not_found', param: 'model' });
+  }
+  res.json(getModelInfo(name));
+}
+
+/**
+ * Handler for GET /api/ps endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function ps(req, res) {
+  res.json(getRunningModels());
+}
+
+/**
+ * Handler for POST /api/pull endpoint. Nothing is downloaded: the model is
+ * served upstream, so this streams progress and makes the model visible.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function pull(req, res) {
+  const body = parseRequestBody(req);
+  const name = getRequestModelName(body);
+  if (!name) {
+    return sendError(req, res, 400, 'Missing required parameter: "model"', { code: 'missing_required_parameter', param: 'model' });
+  }
+
+  if (getCatalogEntry(name)) {
+    unhideModel(name);
+  } else if (!getLocalModel(name)) {
+    saveLocalModel(name, {});
+  }
+
+  const { size: total, digest } = createModelObject(name);
+  const layer = { status: `pulling ${digest.slice(0, 12)}`, digest: `sha256:${digest}`, total };
+  await sendProgress(res, body.stream !== false, [
+    { status: 'pulling manifest' },
+    ...[0, 0.25, 0.5, 0.75, 1].map(fraction => ({ ...layer, completed: Math.round(total * fraction) })),
+    { status: 'verifying sha256 digest' },
+    { status: 'writing manifest' },
+    { status: 'success' }
+  ]);
+}
+
+/**
+ * Handler for POST /api/copy endpoint: adds a local alias of a model
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function copy(req, res) {
+  const { source, destination } = parseRequestBody(req);
+  if (!isKnownModel(source)) {
+    return sendError(req, res, 404, `model '${source}' not found`, { code: 'model_not_found', param: 'source' });
+  }
+  // Point at the underlying model so deleting the source keeps the copy working
+  const { created_at: _, ...inherited } = getLocalModel(source) || {};
+  saveLocalModel(destination, { ...inherited, from: resolveLocalModel(source) });
+  res.status(200).end();
+}
+
+/**
+ * Handler for POST /api/create endpoint: adds a local model made from an
+ * existing one, with its own system prompt, template and parameters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function create(req, res) {
+  const body = parseRequestBody(req);
+  const name = getRequestModelName(body);
+  const fromModelfile = body.modelfile ? parseModelfile(body.modelfile) : {};
+  const from = body.from || fromModelfile.from;
+  if (!name || !from) {
+    return sendError(req, res, 400, 'Missing required parameters: "model" and "from"', { code: 'missing_required_parameter', param: name ? 'from' : 'model' });
+  }
+  if (!isKnownModel(from)) {
+    return sendError(req, res, 404, `model '${from}' not found`, { code: 'model_not_found', param: 'from' });
+  }
+
+  const base = getLocalModel(from) || {};
+  const entry = {
+    from: resolveLocalModel(from),
+    system: body.system || fromModelfile.system || base.system,
+    template: body.template || fromModelfile.template || base.template,
+    parameters: { ...base.parameters, ...fromModelfile.parameters, ...body.parameters }
+  };
+  saveLocalModel(name, entry);
+
+  const statuses = [{ status: 'reading model metadata' }];
+  if (entry.template) statuses.push({ status: 'creating template layer' });
+  if (entry.system) statuses.push({ status: 'creating system layer' });
+  if (Object.keys(entry.parameters).length > 0) statuses.push({ status: 'creating parameters layer' });
+  statuses.push({ status: 'writing manifest' }, { status: 'success' });
+  await sendProgress(res, body.stream !== false, statuses);
+}
+
+/**
+ * Handler for DELETE /api/delete endpoint: removes a local model, or hides a
+ * configured one from the model list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function deleteModel(req, res) {
+  const name = getRequestModelName(parseRequestBody(req));
+  const inCatalog = Boolean(getCatalogEntry(name));
+  if (!getLocalModel(name) && !(inCatalog && isKnownModel(name))) {
+    return sendError(req, res, 404, `model '${name}' not found`, { code: 'model_not_found', param: 'model' });
   }
+  deleteLocalModel(name, inCatalog);
+  res.status(200).end();
 }
 
 module.exports = {
@@ -321,5 +578,11 @@ module.exports = {
   chat,
   generate,
   embeddings,
-  embed
+  embed,
+  show,
+  ps,
+  pull,
+  copy,
+  create,
+  deleteModel
 };
\ No newline at end of file
@@ -1,150 +1,151 @@
-const { getOpenAIModelList, getOpenAIModel } = require('../utils/modelUtils');
-const { mapModel, DEFAULT_MODEL, API_STYLE } = require('../config/config');
-const { makeChatRequest, makeCompletionRequest, makeEmbeddingsRequest } = require('../utils/apiUtils');
+const { getOpenAIModelList, getOpenAIModel, markModelActive } = require('../utils/modelUtils');
+const { mapModel, mapEmbeddingModel, DEFAULT_MODEL } = require('../config/config');
+const { describeModel } = require('../config/catalog');
+const { resolveLocalModel } = require('../utils/localModelStore');
+const { createClientSignal, makeChatRequest, makeCompletionRequest, makeEmbeddingsRequest, setServedByHeaders } = require('../utils/apiUtils');
+const { estimateTokens, estimateMessagesTokens, buildUsage, recordUsage } = require('../utils/metricsUtils');
+const { withResponseCache } = require('../utils/responseCache');
+const { toEmbeddingItems, shapeEmbeddings, encodeEmbedding } = require('../utils/embeddingUtils');
+const { toTextCompletion, separateTextReasoning, createTextCompletionStreamTransform } = require('../utils/completionUtils');
+const { createReasoningParser, separateReasoning, isReasoningReturned } = require('../utils/reasoningUtils');
+const { createSSETransform, streamToClient } = require('../utils/streamUtils');
+const { sendError } = require('../utils/errorUtils');
 
 /**
- * Helper function to delay execution
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>}
+ * Formats the final SSE chunk sent when the upstream fails mid-stream
+ * @param {string} message - Error message
+ * @returns {string} - SSE event text
  */
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+function formatStreamError(message) {
+  return `data: ${JSON.stringify({ error: { message, type: 'server_error', code: null } })}\n\n`;
+}
+
+/**
+ * Generates a chat completion ID for streams whose upstream sends none
+ * @returns {string} - Completion ID
+ */
+function generateCompletionId() {
+  return `chatcmpl-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
 
 /**
  * Handler for POST /v1/chat/completions endpoint
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function chatCompletions(req, res) {
+async function chatCompletions(req, res, next) {
   try {
     const { model, messages, stream = false, ...otherParams } = req.body;
-    const chosenModel = mapModel(model || DEFAULT_MODEL);
+    const chosenModel = mapModel(resolveLocalModel(model || DEFAULT_MODEL), req.path);
+    const includeUsage = Boolean(otherParams.stream_options?.include_usage);
     
-    let retryCount = 0;
-    const maxRetries = 3;
+    const response = await withResponseCache(req, res, { kind: 'chat', model: chosenModel, input: messages, params: otherParams, stream },
+      () => makeChatRequest(chosenModel, messages, stream, otherParams, 'chat', createClientSignal(res)));
     
-    while (retryCount < maxRetries) {
-      try {
-        const wantsStream = stream && API_STYLE !== 'gemini';
-        const response = await makeChatRequest(chosenModel, messages, wantsStream, otherParams);
-        
-        if (wantsStream) {
-          // Set proper headers for SSE
-          res.setHeader('Content-Type', 'text/event-stream');
-          res.setHeader('Cache-Control', 'no-cache');
-          res.setHeader('Connection', 'keep-alive');
-          
-          let buffer = '';
-          
-          response.data.on('data', chunk => {
-            try {
-              // Append the new chunk to our buffer
-              buffer += chunk.toString();
-              
-              // Process any complete messages in the buffer
-              while (true) {
-                const messageEnd = buffer.indexOf('\n');
-                if (messageEnd === -1) break; // No complete message yet
-                
-                const message = buffer.slice(0, messageEnd);
-                buffer = buffer.slice(messageEnd + 1);
-                
-                // Skip empty messages
-                if (!message.trim()) continue;
-                
-                // Remove 'data: ' prefix if present and parse the JSON
-                const jsonStr = message.replace(/^data: /, '');
-                
-                // Skip [DONE] message
-                if (jsonStr.trim() === '[DONE]') {
-                  res.write('data: [DONE]\n\n');
-                  continue;
-                }
-                
-                const vikeyResponse = JSON.parse(jsonStr);
-                const streamResponse = {
-                  id: vikeyResponse.id || `chatcmpl-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                  object: "chat.completion.chunk",
-                  created: Math.floor(Date.now() / 1000),
-                  model: model || "meta-llama/llama-3.1-8b-instruct/fp-8",
-                  choices: [
-                    {
-                      index: 0,
-                      delta: {
-                        role: vikeyResponse.choices?.[0]?.delta?.role || null,
-                        content: vikeyResponse.choices?.[0]?.delta?.content || "",
-                        reasoning_content: null,
-                        tool_calls: null
-                      },
-                      logprobs: null,
-                      finish_reason: vikeyResponse.choices?.[0]?.finish_reason || null,
-                      matched_stop: null
-                    }
-                  ],
-                  usage: null
-                };
-                
-                // Send the JSON response in SSE format
-                res.write(`data: ${JSON.stringify(streamResponse)}\n\n`);
-              }
-            } catch (error) {
-              console.error('Error processing stream chunk:', error);
-              console.log('Problematic chunk:', chunk.toString());
+    setServedByHeaders(res, response);
+    markModelActive(model);
+    
+    if (stream) {
+      // Set proper headers for SSE
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      
+      let finishReason = null;
+      let completionText = '';
+      let upstreamUsage = null;
+      let responseId = null;
+      const created = Math.floor(Date.now() / 1000);
+      const reasoningParser = createReasoningParser();
+
+      // Writes one chunk from { role, content, reasoning, tool_calls }; every
+      // chunk carries the same ID, creation time and the model named in
+      // non-streamed bodies
+      const writeChunk = (output, delta, chunkFinishReason) => {
+        responseId = responseId || generateCompletionId();
+        const streamResponse = {
+          id: responseId,
+          object: "chat.completion.chunk",
+          created,
+          model: chosenModel,
+          choices: [
+            {
+              index: 0,
+              delta: {
+                role: delta.role || null,
+                content: delta.content || "",
+                reasoning_content: isReasoningReturned() && delta.reasoning ? delta.reasoning : null,
+                tool_calls: delta.tool_calls || null
+              },
+              logprobs: null,
+              finish_reason: chunkFinishReason || null
             }
-          });
+          ],
+          usage: null
+        };
+        
+        // Send the JSON response in SSE format
+        output.push(`data: ${JSON.stringify(streamResponse)}\n\n`);
+      };
+      
+      const handleChunk = (output, vikeyResponse) => {
+        if (vikeyResponse.usage) upstreamUsage = vikeyResponse.usage;
+        // Usage-only chunks are re-emitted at the end when the client asked for them
+        if (!vikeyResponse.choices?.length) return;
+        responseId = responseId || vikeyResponse.id;
+        const choice = vikeyResponse.choices[0];
+        const delta = choice.delta || {};
+        finishReason = choice.finish_reason || finishReason;
+        // Reasoning, reported apart or inline in <think> blocks, goes to reasoning_content
+        const { content, reasoning } = reasoningParser.push(delta);
+        completionText += content + reasoning;
+        // The finish reason is sent once, in the last chunk, after held-back text
+        if (!content && !reasoning && !delta.role && !delta.tool_calls) return;
+        writeChunk(output, { role: delta.role, content, reasoning, tool_calls: delta.tool_calls }, null);
+      };
 
-          response.data.on('end', () => {
-            const finalResponse = {
-              id: `chatcmpl-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-              object: "chat.completion.chunk",
-              created: Math.floor(Date.now() / 1000),
-              model: model || "meta-llama/llama-3.1-8b-instruct/fp-8",
-              choices: [
-                {
-                  index: 0,
-                  delta: {
-                    role: null,
-                    content: "",
-                    reasoning_content: null,
-                    tool_calls: null
-                  },
-                  logprobs: null,
-                  finish_reason: "stop",
-                  matched_stop: 128009
-                }
-              ],
-              usage: null
-            };
-            
-            // Send the final JSON response in SSE format
-            res.write(`data: ${JSON.stringify(finalResponse)}\n\n`);
-            res.write('data: [DONE]\n\n');
-            res.end();
-          });
-        } else {
-          // Set content type for non-streaming response or gemini fallback
-          res.setHeader('Content-Type', 'application/json');
-          response.data.model = chosenModel;
-          res.json(response.data);
+      const finish = output => {
+        const rest = reasoningParser.flush();
+        completionText += rest.content + rest.reasoning;
+        if (rest.content || rest.reasoning) writeChunk(output, rest, null);
+        writeChunk(output, {}, finishReason || 'stop');
+        const usage = buildUsage(upstreamUsage, estimateMessagesTokens(messages), completionText);
+        recordUsage(res, usage);
+        if (includeUsage) {
+          const usageResponse = {
+            id: responseId,
+            object: "chat.completion.chunk",
+            created,
+            model: chosenModel,
+            choices: [],
+            usage
+          };
+          output.push(`data: ${JSON.stringify(usageResponse)}\n\n`);
         }
-        break; // If successful, break the retry loop
-      } catch (error) {
-        if (error.response?.status === 429 && retryCount < maxRetries - 1) {
-          console.log(`Rate limit hit (429), retrying in 5 seconds... (Attempt ${retryCount + 1}/${maxRetries})`);
-          await delay(5000); // Wait 5 seconds before retrying
-          retryCount++;
-          continue;
-        }
-        throw error; // If not a 429 or max retries reached, throw the error
-      }
+        output.push('data: [DONE]\n\n');
+      };
+
+      streamToClient(res, response.data, {
+        transforms: [createSSETransform(handleChunk, finish)],
+        formatError: formatStreamError,
+        keepalive: true,
+        label: 'chat completions endpoint'
+      });
+    } else {
+      // Set content type for non-streaming response or gemini fallback
+      res.setHeader('Content-Type', 'application/json');
+      response.data.model = chosenModel;
+      const content = response.data.choices?.[0]?.message?.content;
+      response.data.choices = (response.data.choices || []).map(choice => (choice.message
+        ? { ...choice, message: separateReasoning(choice.message, 'reasoning_content') }
+        : choice));
+      response.data.usage = buildUsage(response.data.usage, estimateMessagesTokens(messages), content);
+      recordUsage(res, response.data.usage);
+      res.json(response.data);
     }
   } catch (error) {
-    console.error('Error in chat completions endpoint:', error.message);
-    res.status(500).json({ 
-      error: { 
-        message: 'Failed to proxy request', 
-        type: 'server_error' 
-      } 
-    });
+    next(error);
   }
 }
 
@@ -152,31 +153,40 @@ async function chatCompletions(req, res) {
  * Handler for POST /v1/completions endpoint
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function completions(req, res) {
+async function completions(req, res, next) {
   try {
     const { model, prompt, stream = false, ...otherParams } = req.body;
-    const chosenModel = mapModel(model || DEFAULT_MODEL);
+    const chosenModel = mapModel(resolveLocalModel(model || DEFAULT_MODEL), req.path);
+    
+    const response = await withResponseCache(req, res, { kind: 'completions', model: chosenModel, input: prompt, params: otherParams, stream },
+      () => makeCompletionRequest(chosenModel, prompt, stream, otherParams, createClientSignal(res)));
     
-    const wantsStream = stream && API_STYLE !== 'gemini';
-    const response = await makeCompletionRequest(chosenModel, prompt, wantsStream, otherParams);
+    setServedByHeaders(res, response);
+    markModelActive(model);
     
-    if (wantsStream) {
-      // For streaming response, pipe the response stream directly
-      response.data.pipe(res);
+    if (stream) {
+      // Upstream chunks are text_completion SSE, except cache replays which are
+      // chat chunks; reasoning is moved out of the text either way
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      streamToClient(res, response.data, {
+        transforms: [createTextCompletionStreamTransform('', true)],
+        formatError: formatStreamError,
+        keepalive: true,
+        label: 'completions endpoint'
+      });
     } else {
-      // Just return the vikey response as is since it should already be in OpenAI format
-      response.data.model = chosenModel;
-      res.json(response.data);
+      const completion = separateTextReasoning(toTextCompletion(response.data));
+      completion.model = chosenModel;
+      const text = completion.choices.map(choice => choice.text + (choice.reasoning_content || '')).join('');
+      completion.usage = buildUsage(completion.usage, estimateTokens(prompt), text);
+      recordUsage(res, completion.usage);
+      res.json(completion);
     }
   } catch (error) {
-    console.error('Error in completions endpoint:', error.message);
-    res.status(500).json({ 
-      error: { 
-        message: 'Failed to proxy request', 
-        type: 'server_error' 
-      } 
-    });
+    next(error);
   }
 }
 
@@ -201,7 +211,7 @@ function getModel(req, res) {
   if (modelInfo) {
     res.json(modelInfo);
   } else {
-    res.status(404).json({ error: { message: 'Model not found', type: 'invalid_request_error' } });
+    sendError(req, res, 404, `The model '${model}' does not exist`, { code: 'model_not_found', param: 'model' });
   }
 }
 
@@ -222,12 +232,35 @@ function parseBodyIfString(body) {
   return body;
 }
 
+/**
+ * Builds the OpenAI embeddings response: vectors shaped to the expected
+ * dimension and in the requested encoding, and usage (estimated when the
+ * upstream reports none), recorded for budgets
+ * @param {Object} res - Express response object
+ * @param {Object} data - OpenAI embeddings list from makeEmbeddingsRequest
+ * @param {string|Array} input - Request input
+ * @param {Object} output - { dimensions, encodingFormat ('float' or 'base64') }
+ * @returns {Object} - Response body
+ */
+function formatEmbeddingsResponse(res, data, input, { dimensions, encodingFormat }) {
+  const promptEstimate = toEmbeddingItems(input).reduce((sum, item) => sum + estimateTokens(item), 0);
+  const usage = buildUsage(data.usage, promptEstimate, '');
+  recordUsage(res, usage);
+  return {
+    ...data,
+    data: shapeEmbeddings(data.data.map(entry => entry.embedding), dimensions)
+      .map((embedding, index) => ({ ...data.data[index], embedding: encodeEmbedding(embedding, encodingFormat) })),
+    usage: { prompt_tokens: usage.prompt_tokens, total_tokens: usage.total_tokens }
+  };
+}
+
 /**
  * Handler for POST /v1/embeddings endpoint
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function embeddings(req, res) {
+async function embeddings(req, res, next) {
   try {
     // Log the request for debugging
     console.log('OpenAI Embeddings Request Body:', req.body);
@@ -241,45 +274,22 @@ async function embeddings(req, res) {
     const model = body.model;
     const input = body.input;
     
-    
-    // Validate required parameters
-    if (!model) {
-      return res.status(400).json({ 
-        error: { 
-          message: 'Missing required parameter: "model"',
-          type: 'invalid_request_error'
-        }
-      });
-    }
-    
-    if (!input) {
-      return res.status(400).json({ 
-        error: { 
-          message: 'Missing required parameter: "input"',
-          type: 'invalid_request_error'
-        }
-      });
-    }
-    
     console.log('Using model:', model);
     console.log('Input to embed:', input);
     
-    // Remove model and input from otherParams
-    const { model: _, input: __, ...otherParams } = body;
+    // Remove model and input from otherParams; vectors are encoded here, not upstream
+    const { model: _, input: __, encoding_format: encodingFormat, ...otherParams } = body;
     
-    const response = await makeEmbeddingsRequest(model, input, otherParams);
+    const baseModel = resolveLocalModel(model);
+    const upstreamModel = mapEmbeddingModel(baseModel, req.path);
+    const dimensions = otherParams.dimensions || describeModel(baseModel).embedding_length;
     
-    // Return the response in OpenAI format
-    // Intelligence.io responses are already compatible with OpenAI format
-    res.json(response.data);
+    const response = await withResponseCache(req, res, { kind: 'embeddings', model: upstreamModel, input, params: otherParams },
+      () => makeEmbeddingsRequest(upstreamModel, input, otherParams, createClientSignal(res)));
+    
+    res.json(formatEmbeddingsResponse(res, response.data, input, { dimensions, encodingFormat }));
   } catch (error) {
-    console.error('Error in embeddings endpoint:', error.message);
-    res.status(500).json({ 
-      error: { 
-        message: 'Failed to proxy request to intelligence.io', 
-        type: 'server_error' 
-      } 
-    });
+    next(error);
   }
 }
 
@@ -287,8 +297,9 @@ async function embeddings(req, res) {
  * Handler for POST /v1/embed endpoint (if needed for compatibility)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function embed(req, res) {
+async function embed(req, res, next) {
   try {
     // Log the request for debugging
     console.log('OpenAI Embed Request Body:', req.body);
@@ -302,45 +313,22 @@ async function embed(req, res) {
     const model = body.model;
     const input = body.input;
     
-    
-    // Validate required parameters
-    if (!model) {
-      return res.status(400).json({ 
-        error: { 
-          message: 'Missing required parameter: "model"',
-          type: 'invalid_request_error'
-        }
-      });
-    }
-    
-    if (!input) {
-      return res.status(400).json({ 
-        error: { 
-          message: 'Missing required parameter: "input"',
-          type: 'invalid_request_error'
-        }
-      });
-    }
-    
     console.log('Using model:', model);
     console.log('Input to embed:', input);
     
-    // Remove model and input from otherParams
-    const { model: _, input: __, ...otherParams } = body;
+    // Remove model and input from otherParams; vectors are encoded here, not upstream
+    const { model: _, input: __, encoding_format: encodingFormat, ...otherParams } = body;
+    
+    const baseModel = resolveLocalModel(model);
+    const upstreamModel = mapEmbeddingModel(baseModel, req.path);
+    const dimensions = otherParams.dimensions || describeModel(baseModel).embedding_length;
     
-    const response = await makeEmbeddingsRequest(model, input, otherParams);
+    const response = await withResponseCache(req, res, { kind: 'embeddings', model: upstreamModel, input, params: otherParams },
+      () => makeEmbeddingsRequest(upstreamModel, input, otherParams, createClientSignal(res)));
     
-    // Return the response in OpenAI format
-    // Intelligence.io responses are already compatible with OpenAI format
-    res.json(response.data);
+    res.json(formatEmbeddingsResponse(res, response.data, input, { dimensions, encodingFormat }));
   } catch (error) {
-    console.error('Error in embed endpoint:', error.message);
-    res.status(500).json({ 
-      error: { 
-        message: 'Failed to proxy request to intelligence.io', 
-        type: 'server_error' 
-      } 
-    });
+    next(error);
   }
 }
 
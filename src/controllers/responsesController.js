@@ -0,0 +1,134 @@
+const { markModelActive } = require('../utils/modelUtils');
+const { mapModel, DEFAULT_MODEL } = require('../config/config');
+const { resolveLocalModel } = require('../utils/localModelStore');
+const { createClientSignal, makeChatRequest, setServedByHeaders } = require('../utils/apiUtils');
+const { withResponseCache } = require('../utils/responseCache');
+const { sendError } = require('../utils/errorUtils');
+const { streamToClient } = require('../utils/streamUtils');
+const { estimateTokens, estimateMessagesTokens, buildUsage, recordUsage } = require('../utils/metricsUtils');
+const responseStore = require('../utils/responseStore');
+const {
+  toChatMessages,
+  toChatParams,
+  toOutputItems,
+  toAssistantMessage,
+  createResponseObject,
+  finishResponse,
+  formatEvent,
+  createResponsesStreamTransform
+} = require('../utils/responsesUtils');
+
+/**
+ * Gets the owner stored responses are scoped to: the caller's key label
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Key label, or null when auth is off
+ */
+function getOwner(req) {
+  return req.apiClient ? req.apiClient.label : null;
+}
+
+/**
+ * Sends the 404 error for an unknown response ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} id - Response ID
+ */
+function sendNotFound(req, res, id) {
+  sendError(req, res, 404, `Response with id '${id}' not found.`);
+}
+
+/**
+ * Handler for POST /v1/responses endpoint (OpenAI Responses API). Earlier
+ * turns named by previous_response_id are rebuilt from the response store;
+ * instructions apply to this request only.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function createResponse(req, res, next) {
+  const body = req.body || {};
+  if (body.input === undefined && !body.previous_response_id) {
+    return sendError(req, res, 400, "Missing required parameter: 'input'.");
+  }
+
+  const history = body.previous_response_id ? responseStore.getConversation(body.previous_response_id, getOwner(req)) : [];
+  if (!history) return sendNotFound(req, res, body.previous_response_id);
+
+  try {
+    const { model, stream = false } = body;
+    const clientModel = model || DEFAULT_MODEL;
+    const chosenModel = mapModel(resolveLocalModel(clientModel), req.path);
+    const input = toChatMessages(body.input);
+    const messages = [
+      ...(body.instructions ? [{ role: 'system', content: body.instructions }] : []),
+      ...history,
+      ...input
+    ];
+    const params = toChatParams(body);
+    const promptTokens = estimateMessagesTokens(messages) + estimateTokens(params.tools);
+    const response = createResponseObject(clientModel, body);
+
+    const upstream = await withResponseCache(req, res, { kind: 'chat', model: chosenModel, input: messages, params, stream },
+      () => makeChatRequest(chosenModel, messages, stream, params, 'chat', createClientSignal(res)));
+
+    setServedByHeaders(res, upstream);
+    markModelActive(model);
+
+    const store = finished => {
+      if (finished.store) responseStore.saveResponse(finished, input, toAssistantMessage(finished.output), getOwner(req));
+    };
+
+    if (stream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      const transform = createResponsesStreamTransform(response, promptTokens, (finished, usage) => {
+        recordUsage(res, usage);
+        store(finished);
+      });
+      streamToClient(res, upstream.data, {
+        transforms: [transform],
+        formatError: message => formatEvent('error', { code: 'server_error', message, param: null }),
+        keepalive: true,
+        label: 'responses endpoint'
+      });
+    } else {
+      const choice = upstream.data.choices?.[0] || {};
+      const usage = buildUsage(upstream.data.usage, promptTokens, choice.message?.content);
+      recordUsage(res, usage);
+      const finished = finishResponse(response, toOutputItems(choice.message), choice.finish_reason, usage);
+      store(finished);
+      res.json(finished);
+    }
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Handler for GET /v1/responses/:id endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function getResponse(req, res) {
+  const response = responseStore.getResponse(req.params.id, getOwner(req));
+  if (!response) return sendNotFound(req, res, req.params.id);
+  res.json(response);
+}
+
+/**
+ * Handler for DELETE /v1/responses/:id endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function deleteResponse(req, res) {
+  if (!responseStore.deleteResponse(req.params.id, getOwner(req))) return sendNotFound(req, res, req.params.id);
+  res.json({ id: req.params.id, object: 'response', deleted: true });
+}
+
+module.exports = {
+  createResponse,
+  getResponse,
+  deleteResponse
+};
@@ -2,10 +2,20 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const { PORT } = require('./config/config');
+const { authMiddleware, requireAdmin } = require('./middleware/authMiddleware');
+const { rateLimitMiddleware } = require('./middleware/rateLimitMiddleware');
+const { errorMiddleware } = require('./middleware/errorMiddleware');
+const { validateBody } = require('./middleware/validationMiddleware');
+const schemas = require('./config/requestSchemas');
+const { sendError } = require('./utils/errorUtils');
+const { startModelDiscovery } = require('./utils/modelDiscovery');
 
 // Import controllers
 const ollamaController = require('./controllers/ollamaController');
 const openaiController = require('./controllers/openaiController');
+const anthropicController = require('./controllers/anthropicController');
+const responsesController = require('./controllers/responsesController');
+const adminController = require('./controllers/adminController');
 
 // Create Express app
 const app = express();
@@ -42,12 +52,28 @@ app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.text({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 
+// JSON sent as text/plain arrives as a string: parse it once here so
+// authentication, rate limits and the routes all see the same object
+app.use((req, res, next) => {
+  if (typeof req.body === 'string' && req.body.trim()) {
+    try {
+      req.body = JSON.parse(req.body);
+    } catch (e) {
+      // Left as text; validateBody rejects it on JSON routes
+    }
+  }
+  next();
+});
+
 // Request logging middleware
 if (process.env.NODE_ENV !== 'production') {
   app.use((req, res, next) => {
       console.log('────────────────────────────────────');
       console.log(`${req.method} ${req.url}`);
-      console.log('Headers:', JSON.stringify(req.headers, null, 2));
+      // Never log client credentials
+      const headers = { ...req.headers };
+      ['authorization', 'x-api-key'].forEach(h => { if (headers[h]) headers[h] = '[redacted]'; });
+      console.log('Headers:', JSON.stringify(headers, null, 2));
     
       // Don't log large bodies like embeddings
       if (req.url.includes('embed')) {
@@ -66,21 +92,44 @@ if (process.env.NODE_ENV !== 'production') {
   });
 }
 
+// Client API key authentication (enabled when a keys file exists)
+app.use(authMiddleware);
+
+// Per-client and per-model rate limits and token budgets (enabled by limits.json or key limits)
+app.use(rateLimitMiddleware);
+
 // Removed legacy LLAMAEDGE gaia routes to simplify codebase
-// Ollama API routes
+// Ollama API routes (request bodies are checked against config/requestSchemas)
 app.get('/api/tags', ollamaController.getModels);
-app.post('/api/chat', ollamaController.chat);
-app.post('/api/generate', ollamaController.generate);
-app.post('/api/embeddings', ollamaController.embeddings);
-app.post('/api/embed', ollamaController.embed);
+app.post('/api/chat', validateBody(schemas.ollamaChat), ollamaController.chat);
+app.post('/api/generate', validateBody(schemas.ollamaGenerate), ollamaController.generate);
+app.post('/api/embeddings', validateBody(schemas.ollamaEmbeddings), ollamaController.embeddings);
+app.post('/api/embed', validateBody(schemas.ollamaEmbeddings), ollamaController.embed);
+app.post('/api/show', validateBody(schemas.ollamaModel), ollamaController.show);
+app.get('/api/ps', ollamaController.ps);
+app.post('/api/pull', validateBody(schemas.ollamaModel), ollamaController.pull);
+app.post('/api/copy', validateBody(schemas.ollamaCopy), ollamaController.copy);
+app.post('/api/create', validateBody(schemas.ollamaCreate), ollamaController.create);
+app.delete('/api/delete', validateBody(schemas.ollamaModel), ollamaController.deleteModel);
 
 // OpenAI compatibility routes
-app.post('/v1/chat/completions', openaiController.chatCompletions);
-app.post('/v1/completions', openaiController.completions);
+app.post('/v1/chat/completions', validateBody(schemas.openaiChat), openaiController.chatCompletions);
+app.post('/v1/completions', validateBody(schemas.openaiCompletions), openaiController.completions);
 app.get('/v1/models', openaiController.listModels);
-app.get('/v1/models/:model', openaiController.getModel);
-app.post('/v1/embeddings', openaiController.embeddings);
-app.post('/v1/embed', openaiController.embed);
+// Model IDs may contain slashes (e.g. "hellord/mxbai-embed-large-v1:f16")
+app.get('/v1/models/:model(*)', openaiController.getModel);
+app.post('/v1/embeddings', validateBody(schemas.openaiEmbeddings), openaiController.embeddings);
+app.post('/v1/embed', validateBody(schemas.openaiEmbeddings), openaiController.embed);
+app.post('/v1/responses', validateBody(schemas.openaiResponses), responsesController.createResponse);
+app.get('/v1/responses/:id', responsesController.getResponse);
+app.delete('/v1/responses/:id', responsesController.deleteResponse);
+
+// Anthropic Messages API routes
+app.post('/v1/messages', validateBody(schemas.anthropicMessages), anthropicController.messages);
+app.post('/v1/messages/count_tokens', validateBody(schemas.anthropicMessages), anthropicController.countTokens);
+
+// Admin routes (require ADMIN_API_KEY)
+app.post('/admin/models/sync', requireAdmin, adminController.syncModelList);
 
 // Version endpoint
 app.get('/api/version', (req, res) => {
@@ -90,10 +139,19 @@ app.get('/api/version', (req, res) => {
 // Fallback for unhandled routes
 app.use((req, res) => {
   console.log('Endpoint not supported', req.url);
-  res.status(404).json({ error: 'Endpoint not supported' });
+  sendError(req, res, 404, 'Endpoint not supported');
 });
 
+// Errors passed on by routes and body parsers, in the dialect of the route
+app.use(errorMiddleware);
+
 // Start server on PORT
 app.listen(PORT, () => {
   console.log(`Ollama proxy server running on http://localhost:${PORT}`);
+  startModelDiscovery();
+});
+
+// Exit through process.exit so 'exit' handlers can flush persisted state
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => process.exit(0));
 });
\ No newline at end of file
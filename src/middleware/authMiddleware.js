@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { AUTH_ENABLED, findKey } = require('../config/keys');
+const { ADMIN_API_KEY, DEFAULT_MODEL, EMBEDDING_MODEL_MAP } = require('../config/config');
+const { matchesAny } = require('../utils/matchUtils');
+const { sendError } = require('../utils/errorUtils');
+const { resolveLocalModel } = require('../utils/localModelStore');
+const { parseModelfile } = require('../utils/modelUtils');
+
+// Routes reachable without a key (health checks used by Ollama clients)
+const PUBLIC_ROUTES = ['/', '/api/version'];
+
+// Prefix of routes guarded by ADMIN_API_KEY instead of client keys
+const ADMIN_PREFIX = '/admin/';
+
+// Routes served by a chat model, DEFAULT_MODEL when the body names none
+const CHAT_ROUTES = ['/api/chat', '/api/generate', '/v1/chat/completions', '/v1/completions', '/v1/messages', '/v1/responses'];
+
+// Routes served by an embedding model, EMBEDDING_MODEL_MAP's default when the body names none
+const EMBEDDING_ROUTES = ['/api/embeddings', '/api/embed', '/v1/embeddings', '/v1/embed'];
+
+// Body fields that name a model, including those of the model-management routes
+const MODEL_FIELDS = ['model', 'name', 'source', 'destination', 'from'];
+
+/**
+ * Reads the client key from `Authorization: Bearer` or `x-api-key`
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Client key or null
+ */
+function extractClientKey(req) {
+  const auth = req.headers['authorization'];
+  if (auth && /^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, '').trim();
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Reads the requested model from the body (parsed before authentication), if any
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Model name or null
+ */
+function extractRequestedModel(req) {
+  const body = req.body;
+  return body && typeof body === 'object' && typeof body.model === 'string' ? body.model : null;
+}
+
+/**
+ * Lists every model a request uses or names: the body's model fields, the
+ * FROM of a Modelfile, and the default model a route falls back to when the
+ * body names none
+ * @param {Object} req - Express request object
+ * @returns {Array<string>} - Model names
+ */
+function extractModelNames(req) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const names = MODEL_FIELDS.map(field => body[field]).filter(value => typeof value === 'string' && value);
+  if (typeof body.modelfile === 'string') {
+    const { from } = parseModelfile(body.modelfile);
+    if (from) names.push(from);
+  }
+  if (!extractRequestedModel(req)) {
+    const fallback = CHAT_ROUTES.includes(req.path) ? DEFAULT_MODEL
+      : (EMBEDDING_ROUTES.includes(req.path) ? EMBEDDING_MODEL_MAP.default : null);
+    if (fallback) names.push(fallback);
+  }
+  return names;
+}
+
+/**
+ * Authenticates clients against the key file and enforces per-key route and
+ * model restrictions. Attaches the matched policy as `req.apiClient`.
+ * Does nothing when no key file is configured.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function authMiddleware(req, res, next) {
+  if (!AUTH_ENABLED || PUBLIC_ROUTES.includes(req.path) || req.path.startsWith(ADMIN_PREFIX)) return next();
+
+  const key = extractClientKey(req);
+  if (!key) {
+    return sendError(req, res, 401, 'Missing API key. Send it as "Authorization: Bearer <key>" or "x-api-key".', { code: 'missing_api_key' });
+  }
+
+  const client = findKey(key);
+  if (!client) {
+    return sendError(req, res, 401, 'Invalid API key', { code: 'invalid_api_key' });
+  }
+
+  if (client.routes.length > 0 && !matchesAny(client.routes, req.path)) {
+    return sendError(req, res, 403, `API key "${client.label}" is not allowed to use ${req.path}`, { type: 'permission_error', code: 'route_not_allowed' });
+  }
+
+  // Local aliases (/api/copy, /api/create) must not unlock the models they point to
+  const model = client.models.length === 0 ? null : extractModelNames(req)
+    .find(name => !matchesAny(client.models, name) || !matchesAny(client.models, resolveLocalModel(name)));
+  if (model) {
+    return sendError(req, res, 403, `API key "${client.label}" is not allowed to use model "${model}"`, { type: 'permission_error', code: 'model_not_allowed' });
+  }
+
+  req.apiClient = client;
+  next();
+}
+
+/**
+ * Guards admin routes with ADMIN_API_KEY, sent like a client key. Admin
+ * routes are disabled when no admin key is configured.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return sendError(req, res, 403, 'Admin API is disabled. Set ADMIN_API_KEY to enable it.', { type: 'permission_error', code: 'admin_disabled' });
+  }
+  const key = extractClientKey(req) || '';
+  const expected = Buffer.from(ADMIN_API_KEY);
+  const given = Buffer.from(key);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return sendError(req, res, 401, 'Invalid admin key', { code: 'invalid_api_key' });
+  }
+  next();
+}
+
+module.exports = {
+  authMiddleware,
+  requireAdmin,
+  extractClientKey,
+  extractRequestedModel
+};
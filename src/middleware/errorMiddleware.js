@@ -0,0 +1,20 @@
+const { sendApiError } = require('../utils/errorUtils');
+
+/**
+ * Express error handler: reports an error passed on by a route, or a body
+ * that could not be parsed, in the route's dialect with the status it maps
+ * to. A response already under way is left to Express to close.
+ * @param {Error} error - Error raised while serving the request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function errorMiddleware(error, req, res, next) {
+  console.error(`Error in ${req.method} ${req.path}:`, error.message);
+  if (res.headersSent) return next(error);
+  sendApiError(req, res, error);
+}
+
+module.exports = {
+  errorMiddleware
+};
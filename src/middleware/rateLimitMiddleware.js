@@ -0,0 +1,194 @@
+const { getClientPolicy, getModelPolicy } = require('../config/limits');
+const { mapModel, mapEmbeddingModel, DEFAULT_MODEL } = require('../config/config');
+const { getUsage, addUsage } = require('../utils/usageStore');
+const { extractRequestedModel } = require('./authMiddleware');
+const { isOpenAIRoute, sendError } = require('../utils/errorUtils');
+const { resolveLocalModel } = require('../utils/localModelStore');
+
+const WINDOW_MS = 60 * 1000;
+
+// Routes that stream by default (Ollama) or on request (OpenAI); these are the chat and completion routes
+const STREAMING_ROUTES = ['/api/chat', '/api/generate', '/v1/chat/completions', '/v1/completions', '/v1/messages', '/v1/responses'];
+
+// Routes whose model is routed by EMBEDDING_MODEL_MAP rather than chat routing
+const EMBEDDING_ROUTES = ['/api/embeddings', '/api/embed', '/v1/embeddings', '/v1/embed'];
+
+// Fixed one-minute request windows and active stream counts, per scope id
+const windows = new Map();
+const activeStreams = new Map();
+
+/**
+ * Identifies the caller: the key label when authenticated, else the client IP
+ * @param {Object} req - Express request object
+ * @returns {string} - Client identity
+ */
+function getClientIdentity(req) {
+  return req.apiClient ? `key:${req.apiClient.label}` : `ip:${req.ip}`;
+}
+
+/**
+ * Checks whether the request will produce a streamed response
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True when streaming
+ */
+function isStreamingRequest(req) {
+  if (!STREAMING_ROUTES.includes(req.path) || !req.body || typeof req.body !== 'object') return false;
+  return isOpenAIRoute(req.path) ? req.body.stream === true : req.body.stream !== false;
+}
+
+/**
+ * Resolves the upstream model a request will be served by, the way the
+ * controllers do (local aliases, then routing, DEFAULT_MODEL when none is
+ * given), so model limits cannot be sidestepped through aliases or mappings
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Upstream model, or null for routes without one
+ */
+function resolveLimitedModel(req) {
+  const model = extractRequestedModel(req);
+  if (EMBEDDING_ROUTES.includes(req.path)) return mapEmbeddingModel(resolveLocalModel(model), req.path) || null;
+  if (STREAMING_ROUTES.includes(req.path)) return mapModel(resolveLocalModel(model || DEFAULT_MODEL), req.path) || null;
+  return null;
+}
+
+/**
+ * Gets the current request window for a scope, starting a new one when expired
+ * @param {string} id - Scope id
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { start, count }
+ */
+function getWindow(id, now) {
+  let window = windows.get(id);
+  if (!window || now - window.start >= WINDOW_MS) {
+    window = { start: now, count: 0 };
+    windows.set(id, window);
+  }
+  return window;
+}
+
+/**
+ * Seconds until the next UTC day or month begins
+ * @param {string} period - 'day' or 'month'
+ * @returns {number} - Seconds until reset
+ */
+function secondsUntilReset(period) {
+  const now = new Date();
+  const next = period === 'day'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+/**
+ * Collects the daily and monthly token budgets that apply to the scopes
+ * @param {Array<Object>} scopes - Scopes with id and policy
+ * @returns {Array<Object>} - Budgets as { scope, period, limit, remaining }
+ */
+function findTokenBudgets(scopes) {
+  const budgets = [];
+  scopes.forEach(scope => {
+    const used = getUsage(scope.id);
+    if (scope.policy.dailyTokens) {
+      budgets.push({ scope, period: 'day', limit: scope.policy.dailyTokens, remaining: scope.policy.dailyTokens - used.dayTokens });
+    }
+    if (scope.policy.monthlyTokens) {
+      budgets.push({ scope, period: 'month', limit: scope.policy.monthlyTokens, remaining: scope.policy.monthlyTokens - used.monthTokens });
+    }
+  });
+  return budgets;
+}
+
+/**
+ * Rejects a request with 429 and a Retry-After header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} retryAfter - Seconds until the client may retry
+ * @param {string} message - Error message
+ * @param {string} type - OpenAI error type
+ * @param {string} code - OpenAI error code
+ */
+function reject(req, res, retryAfter, message, type, code) {
+  res.setHeader('Retry-After', String(Math.max(1, retryAfter)));
+  sendError(req, res, 429, message, { type, code });
+}
+
+/**
+ * Enforces requests per minute, concurrent streams and daily/monthly token
+ * budgets per client identity and per client and upstream model. Token usage reported
+ * by controllers in `res.locals.usage` is charged when the response finishes.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function rateLimitMiddleware(req, res, next) {
+  const identity = getClientIdentity(req);
+  const model = resolveLimitedModel(req);
+  const scopes = [{ id: identity, name: 'client', policy: getClientPolicy(req.apiClient) }];
+  const modelPolicy = model ? getModelPolicy(model) : null;
+  if (modelPolicy) scopes.push({ id: `${identity}|${model}`, name: `model "${model}"`, policy: modelPolicy });
+  const limited = scopes.filter(scope => Object.keys(scope.policy).length > 0);
+  if (limited.length === 0) return next();
+
+  const now = Date.now();
+
+  // Requests per minute
+  const requestLimits = limited
+    .filter(scope => scope.policy.requestsPerMinute)
+    .map(scope => ({ scope, window: getWindow(scope.id, now), limit: scope.policy.requestsPerMinute }));
+  const exceeded = requestLimits.find(r => r.window.count >= r.limit);
+  if (exceeded) {
+    const retryAfter = Math.ceil((exceeded.window.start + WINDOW_MS - now) / 1000);
+    return reject(req, res, retryAfter, `Rate limit reached for ${exceeded.scope.name}: ${exceeded.limit} requests per minute`, 'requests', 'rate_limit_exceeded');
+  }
+
+  // Token budgets
+  const budgets = findTokenBudgets(limited);
+  const exhausted = budgets.find(b => b.remaining <= 0);
+  if (exhausted) {
+    const label = exhausted.period === 'day' ? 'daily' : 'monthly';
+    return reject(req, res, secondsUntilReset(exhausted.period), `${label[0].toUpperCase()}${label.slice(1)} token budget of ${exhausted.limit} exhausted for ${exhausted.scope.name}`, 'insufficient_quota', 'insufficient_quota');
+  }
+
+  // Concurrent streams
+  const streaming = isStreamingRequest(req);
+  const streamScopes = streaming ? limited.filter(scope => scope.policy.concurrentStreams) : [];
+  const busy = streamScopes.find(scope => (activeStreams.get(scope.id) || 0) >= scope.policy.concurrentStreams);
+  if (busy) {
+    return reject(req, res, 1, `Too many concurrent streams for ${busy.name}: limit is ${busy.policy.concurrentStreams}`, 'requests', 'rate_limit_exceeded');
+  }
+
+  // Admit the request
+  requestLimits.forEach(r => { r.window.count += 1; });
+  streamScopes.forEach(scope => activeStreams.set(scope.id, (activeStreams.get(scope.id) || 0) + 1));
+
+  const tightestRequests = requestLimits.sort((a, b) => (a.limit - a.window.count) - (b.limit - b.window.count))[0];
+  if (tightestRequests) {
+    res.setHeader('x-ratelimit-limit-requests', String(tightestRequests.limit));
+    res.setHeader('x-ratelimit-remaining-requests', String(tightestRequests.limit - tightestRequests.window.count));
+    res.setHeader('x-ratelimit-reset-requests', `${Math.ceil((tightestRequests.window.start + WINDOW_MS - now) / 1000)}s`);
+  }
+  const tightestTokens = budgets.sort((a, b) => a.remaining - b.remaining)[0];
+  if (tightestTokens) {
+    res.setHeader('x-ratelimit-limit-tokens', String(tightestTokens.limit));
+    res.setHeader('x-ratelimit-remaining-tokens', String(tightestTokens.remaining));
+    res.setHeader('x-ratelimit-reset-tokens', `${secondsUntilReset(tightestTokens.period)}s`);
+  }
+
+  let settled = false;
+  const settle = () => {
+    if (settled) return;
+    settled = true;
+    streamScopes.forEach(scope => activeStreams.set(scope.id, Math.max(0, (activeStreams.get(scope.id) || 1) - 1)));
+    // Answers served from the response cache cost no upstream tokens
+    const tokens = res.locals.cacheHit ? 0 : (res.locals.usage?.total_tokens || 0);
+    limited.forEach(scope => addUsage(scope.id, tokens));
+  };
+  res.on('finish', settle);
+  res.on('close', settle);
+
+  next();
+}
+
+module.exports = {
+  rateLimitMiddleware,
+  getClientIdentity
+};
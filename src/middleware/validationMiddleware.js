@@ -0,0 +1,51 @@
+const { REQUEST_VALIDATION } = require('../config/config');
+const { sendError } = require('../utils/errorUtils');
+const { validateValue } = require('../utils/validationUtils');
+
+/**
+ * Gets the request body as a JSON value. Bodies sent without a JSON
+ * content type arrive as text or a Buffer and are parsed here; an empty
+ * body counts as an empty object.
+ * @param {*} body - Body as left by the body parsers
+ * @returns {*} - Parsed body, or undefined when it is not JSON
+ */
+function toJsonBody(body) {
+  if (body === undefined || body === null) return {};
+  if (typeof body !== 'string' && !Buffer.isBuffer(body)) return body;
+  const text = body.toString('utf8');
+  if (!text.trim()) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Creates middleware that checks the request body against a route's schema
+ * and rejects it with a 400 naming the offending field, in the route's
+ * dialect. Form-encoded bodies, whose values are all strings, are only
+ * checked for required fields.
+ * @param {Object} schema - Request schema (see config/requestSchemas)
+ * @returns {Function} - Express middleware
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const body = toJsonBody(req.body);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return sendError(req, res, 400, 'Request body must be a JSON object.', { code: 'invalid_request_body' });
+    }
+    req.body = body;
+
+    const isForm = req.is('application/x-www-form-urlencoded');
+    const failure = validateValue(isForm ? { required: schema.required } : schema, body, '', REQUEST_VALIDATION);
+    if (failure) {
+      return sendError(req, res, 400, failure.message, { code: failure.code, param: failure.param });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validateBody
+};
@@ -0,0 +1,577 @@
+const { generateToolCallId, parseToolArguments } = require('./toolUtils');
+const { parseDataUri, normalizeBase64Image } = require('./imageUtils');
+const { buildUsage } = require('./metricsUtils');
+const { createSSETransform } = require('./streamUtils');
+const { createReasoningParser, separateReasoning, isReasoningReturned } = require('./reasoningUtils');
+
+// Highest temperature Anthropic accepts (OpenAI and Ollama allow up to 2)
+const MAX_TEMPERATURE = 1;
+
+// OpenAI finish_reason values mapped to Anthropic stop_reason values
+const STOP_REASON_MAP = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+// Anthropic stop_reason values mapped to OpenAI finish_reason values
+const FINISH_REASON_MAP = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  pause_turn: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  refusal: 'content_filter'
+};
+
+/**
+ * Generates an Anthropic-style message ID
+ * @returns {string} - Message ID
+ */
+function generateMessageId() {
+  return `msg_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 12)}`;
+}
+
+/**
+ * Joins the text of Anthropic content (a string or an array of blocks)
+ * @param {string|Array} content - Anthropic content
+ * @returns {string} - Text
+ */
+function blocksToText(content) {
+  if (typeof content === 'string') return content;
+  return (Array.isArray(content) ? content : [])
+    .filter(block => block && block.type === 'text')
+    .map(block => block.text || '')
+    .join('\n');
+}
+
+/**
+ * Converts an Anthropic text or image block into an OpenAI content part
+ * @param {Object} block - Anthropic content block
+ * @returns {Object|null} - OpenAI content part or null if unsupported
+ */
+function toOpenAIContentPart(block) {
+  if (!block || typeof block !== 'object') return null;
+  if (block.type === 'text') return { type: 'text', text: block.text || '' };
+  if (block.type === 'image' && block.source) {
+    const { source } = block;
+    if (source.type === 'base64') {
+      return { type: 'image_url', image_url: { url: `data:${source.media_type};base64,${source.data}` } };
+    }
+    if (source.type === 'url' && source.url) return { type: 'image_url', image_url: { url: source.url } };
+  }
+  return null;
+}
+
+/**
+ * Converts Anthropic messages into OpenAI chat messages. The system prompt
+ * becomes a system message, tool_use blocks become tool_calls and each
+ * tool_result block becomes a `tool` message ahead of the rest of its turn.
+ * @param {string|Array} system - Anthropic system prompt (string or text blocks)
+ * @param {Array} messages - Anthropic messages
+ * @returns {Array} - OpenAI chat messages
+ */
+function toOpenAIChatMessages(system, messages) {
+  const result = [];
+  const systemText = blocksToText(system);
+  if (systemText) result.push({ role: 'system', content: systemText });
+
+  (messages || []).forEach(message => {
+    const blocks = typeof message.content === 'string'
+      ? [{ type: 'text', text: message.content }]
+      : (Array.isArray(message.content) ? message.content : []);
+
+    if (message.role === 'assistant') {
+      const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+        id: block.id || generateToolCallId(),
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }));
+      const text = blocks.filter(block => block.type === 'text').map(block => block.text || '').join('');
+      const converted = { role: 'assistant', content: text || (toolCalls.length > 0 ? null : '') };
+      if (toolCalls.length > 0) converted.tool_calls = toolCalls;
+      result.push(converted);
+      return;
+    }
+
+    blocks.filter(block => block.type === 'tool_result').forEach(block => {
+      const text = blocksToText(block.content);
+      result.push({ role: 'tool', tool_call_id: block.tool_use_id, content: block.is_error ? `Error: ${text}` : text });
+    });
+    const parts = blocks.map(toOpenAIContentPart).filter(Boolean);
+    if (parts.length === 0) return;
+    // Plain text stays a string, which every upstream accepts
+    const content = parts.every(part => part.type === 'text')
+      ? parts.map(part => part.text).join('\n')
+      : parts;
+    result.push({ role: 'user', content });
+  });
+  return result;
+}
+
+/**
+ * Converts an Anthropic tool_choice into an OpenAI tool_choice
+ * @param {Object} toolChoice - Anthropic tool_choice
+ * @returns {string|Object|undefined} - OpenAI tool_choice
+ */
+function toOpenAIToolChoice(toolChoice) {
+  if (!toolChoice || !toolChoice.type) return undefined;
+  if (toolChoice.type === 'any') return 'required';
+  if (toolChoice.type === 'tool' && toolChoice.name) return { type: 'function', function: { name: toolChoice.name } };
+  if (toolChoice.type === 'none') return 'none';
+  return 'auto';
+}
+
+/**
+ * Maps Anthropic Messages request parameters onto OpenAI chat parameters.
+ * Server tools (web search and the like) have no OpenAI equivalent and are dropped.
+ * @param {Object} body - Anthropic Messages request body
+ * @returns {Object} - OpenAI-style parameters
+ */
+function toOpenAIChatParams(body) {
+  const params = {};
+  ['max_tokens', 'temperature', 'top_p', 'top_k'].forEach(key => {
+    if (body[key] !== undefined) params[key] = body[key];
+  });
+  if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) params.stop = body.stop_sequences;
+  if (body.metadata?.user_id) params.user = body.metadata.user_id;
+
+  const tools = (body.tools || [])
+    .filter(tool => tool && tool.name && (!tool.type || tool.type === 'custom'))
+    .map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        ...(tool.description ? { description: tool.description } : {}),
+        parameters: tool.input_schema || { type: 'object', properties: {} }
+      }
+    }));
+  if (tools.length > 0) {
+    params.tools = tools;
+    const toolChoice = toOpenAIToolChoice(body.tool_choice);
+    if (toolChoice) params.tool_choice = toolChoice;
+  }
+  return params;
+}
+
+/**
+ * Maps an OpenAI finish_reason to an Anthropic stop_reason
+ * @param {string} finishReason - OpenAI finish reason
+ * @returns {string} - Anthropic stop reason
+ */
+function toStopReason(finishReason) {
+  return STOP_REASON_MAP[finishReason] || 'end_turn';
+}
+
+/**
+ * Converts an OpenAI chat.completion into an Anthropic message. Reasoning,
+ * reported apart or inline in <think> blocks, becomes a leading thinking
+ * block (or is dropped with REASONING_OUTPUT=strip).
+ * @param {string} model - Client-facing model name
+ * @param {Object} completion - OpenAI chat.completion object
+ * @param {Object} usage - OpenAI usage object
+ * @returns {Object} - Anthropic message
+ */
+function toAnthropicMessage(model, completion, usage) {
+  const choice = completion.choices?.[0] || {};
+  const message = separateReasoning(choice.message || {}, 'reasoning_content');
+  const content = [];
+  if (message.reasoning_content) content.push({ type: 'thinking', thinking: message.reasoning_content, signature: '' });
+  if (message.content) content.push({ type: 'text', text: message.content });
+  (message.tool_calls || []).forEach(call => {
+    content.push({
+      type: 'tool_use',
+      id: call.id || generateToolCallId(),
+      name: call.function?.name,
+      input: parseToolArguments(call.function?.arguments)
+    });
+  });
+  const finishReason = (message.tool_calls || []).length > 0 && choice.finish_reason === 'stop' ? 'tool_calls' : choice.finish_reason;
+  return {
+    id: generateMessageId(),
+    type: 'message',
+    role: 'assistant',
+    model,
+    content,
+    stop_reason: toStopReason(finishReason),
+    stop_sequence: null,
+    usage: { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens }
+  };
+}
+
+/**
+ * Formats an Anthropic SSE event
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload (without type)
+ * @returns {string} - SSE event text
+ */
+function formatEvent(type, data = {}) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+/**
+ * Creates a stream that turns OpenAI chat.completion.chunk SSE events into
+ * the Anthropic Messages event sequence: message_start, a
+ * content_block_start/delta/stop group per thinking, text or tool_use block,
+ * message_delta (stop reason and usage) and message_stop
+ * @param {string} model - Client-facing model name
+ * @param {number} promptTokens - Estimated input tokens, reported in message_start
+ * @param {Function} [onFinish] - Called with the final OpenAI usage object
+ * @returns {Transform} - Transform stream
+ */
+function createAnthropicStreamTransform(model, promptTokens, onFinish) {
+  let started = false;
+  let block = null;
+  let blockCount = 0;
+  let text = '';
+  let finishReason = null;
+  let upstreamUsage = null;
+  const toolKeys = new Set();
+  const reasoningParser = createReasoningParser();
+
+  const start = stream => {
+    if (started) return;
+    started = true;
+    stream.push(formatEvent('message_start', {
+      message: {
+        id: generateMessageId(),
+        type: 'message',
+        role: 'assistant',
+        model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: promptTokens, output_tokens: 0 }
+      }
+    }));
+    stream.push(formatEvent('ping'));
+  };
+
+  const closeBlock = stream => {
+    if (!block) return;
+    stream.push(formatEvent('content_block_stop', { index: block.index }));
+    block = null;
+  };
+
+  const openBlock = (stream, key, contentBlock) => {
+    if (block && block.key === key) return;
+    closeBlock(stream);
+    block = { key, index: blockCount++ };
+    stream.push(formatEvent('content_block_start', { index: block.index, content_block: contentBlock }));
+  };
+
+  // Reasoning goes to a thinking block (unless stripped), answer text to a text block
+  const writeText = (stream, { content, reasoning }) => {
+    text += content + reasoning;
+    if (reasoning && isReasoningReturned()) {
+      openBlock(stream, 'thinking', { type: 'thinking', thinking: '', signature: '' });
+      stream.push(formatEvent('content_block_delta', { index: block.index, delta: { type: 'thinking_delta', thinking: reasoning } }));
+    }
+    if (content) {
+      openBlock(stream, 'text', { type: 'text', text: '' });
+      stream.push(formatEvent('content_block_delta', { index: block.index, delta: { type: 'text_delta', text: content } }));
+    }
+  };
+
+  const handleChunk = (stream, chunk) => {
+    start(stream);
+    if (chunk.usage) upstreamUsage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+    writeText(stream, reasoningParser.push(delta));
+    (delta.tool_calls || []).forEach((call, position) => {
+      const key = `tool:${call.index !== undefined ? call.index : position}`;
+      if (!toolKeys.has(key)) {
+        toolKeys.add(key);
+        openBlock(stream, key, { type: 'tool_use', id: call.id || generateToolCallId(), name: call.function?.name || '', input: {} });
+      }
+      // Fragments of a call whose block was already closed cannot be sent any more
+      const args = call.function?.arguments;
+      if (!args || !block || block.key !== key) return;
+      const partialJson = typeof args === 'string' ? args : JSON.stringify(args);
+      stream.push(formatEvent('content_block_delta', { index: block.index, delta: { type: 'input_json_delta', partial_json: partialJson } }));
+    });
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  };
+
+  return createSSETransform(handleChunk, stream => {
+    start(stream);
+    writeText(stream, reasoningParser.flush());
+    closeBlock(stream);
+    const usage = buildUsage(upstreamUsage, promptTokens, text);
+    if (finishReason === 'stop' && toolKeys.size > 0) finishReason = 'tool_calls';
+    stream.push(formatEvent('message_delta', {
+      delta: { stop_reason: toStopReason(finishReason), stop_sequence: null },
+      usage: { output_tokens: usage.completion_tokens }
+    }));
+    stream.push(formatEvent('message_stop'));
+    if (onFinish) onFinish(usage);
+  });
+}
+
+/**
+ * Converts one OpenAI content part into an Anthropic content block
+ * @param {Object|string} part - OpenAI content part
+ * @returns {Object|null} - Anthropic block or null if unsupported
+ */
+function toAnthropicBlock(part) {
+  if (typeof part === 'string') return part ? { type: 'text', text: part } : null;
+  if (!part || typeof part !== 'object') return null;
+  if (part.type === 'text' || typeof part.text === 'string') return part.text ? { type: 'text', text: part.text } : null;
+  if (part.type === 'image_url' || part.image_url) {
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+    const inline = parseDataUri(url);
+    if (inline) return { type: 'image', source: { type: 'base64', media_type: inline.mimeType, data: inline.data } };
+    if (url) return { type: 'image', source: { type: 'url', url } };
+  }
+  return null;
+}
+
+/**
+ * Converts a chat message (OpenAI content, Ollama images, tool calls) into Anthropic blocks
+ * @param {Object} message - Chat message
+ * @returns {Array<Object>} - Anthropic content blocks
+ */
+function toAnthropicBlocks(message) {
+  const { content } = message;
+  const blocks = Array.isArray(content)
+    ? content.map(toAnthropicBlock).filter(Boolean)
+    : [toAnthropicBlock(typeof content === 'string' || !content ? content || '' : JSON.stringify(content))].filter(Boolean);
+  (message.images || []).forEach(image => {
+    const { mimeType, data } = normalizeBase64Image(image);
+    blocks.push({ type: 'image', source: { type: 'base64', media_type: mimeType, data } });
+  });
+  (message.tool_calls || []).forEach(call => {
+    blocks.push({
+      type: 'tool_use',
+      id: call.id || generateToolCallId(),
+      name: call.function?.name,
+      input: parseToolArguments(call.function?.arguments)
+    });
+  });
+  return blocks;
+}
+
+/**
+ * Converts an OpenAI tool_choice into an Anthropic tool_choice
+ * @param {string|Object} toolChoice - OpenAI tool_choice
+ * @returns {Object|null} - Anthropic tool_choice or null
+ */
+function toAnthropicToolChoice(toolChoice) {
+  if (!toolChoice) return null;
+  if (toolChoice === 'none') return { type: 'none' };
+  if (toolChoice === 'auto') return { type: 'auto' };
+  if (toolChoice === 'required') return { type: 'any' };
+  if (toolChoice.function?.name) return { type: 'tool', name: toolChoice.function.name };
+  return null;
+}
+
+/**
+ * Translates OpenAI/Ollama chat messages and parameters into an Anthropic
+ * Messages request body. System messages become the system prompt, tool
+ * results become tool_result blocks, and consecutive turns of the same role
+ * are merged.
+ * @param {Array} messages - Chat messages
+ * @param {Object} params - OpenAI-style request parameters
+ * @param {number} defaultMaxTokens - max_tokens used when none is given (Anthropic requires one)
+ * @returns {Object} - Anthropic request body (without model and stream)
+ */
+function buildAnthropicPayload(messages, params = {}, defaultMaxTokens = 3000) {
+  const system = [];
+  const turns = [];
+
+  (messages || []).forEach(message => {
+    if (message.role === 'system' || message.role === 'developer') {
+      const text = blocksToText(toAnthropicBlocks(message));
+      if (text) system.push(text);
+      return;
+    }
+    const blocks = message.role === 'tool'
+      ? [{
+        type: 'tool_result',
+        tool_use_id: message.tool_call_id,
+        content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+      }]
+      : toAnthropicBlocks(message);
+    if (blocks.length === 0) return;
+    const role = message.role === 'assistant' ? 'assistant' : 'user';
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === role) previous.content.push(...blocks);
+    else turns.push({ role, content: blocks });
+  });
+
+  const payload = { max_tokens: params.max_tokens || params.max_completion_tokens || defaultMaxTokens, messages: turns };
+  if (system.length > 0) payload.system = system.join('\n\n');
+  ['temperature', 'top_p', 'top_k'].forEach(key => {
+    if (params[key] !== undefined) payload[key] = params[key];
+  });
+  if (typeof payload.temperature === 'number') {
+    payload.temperature = Math.min(Math.max(payload.temperature, 0), MAX_TEMPERATURE);
+  }
+  if (params.stop !== undefined && params.stop !== null) {
+    payload.stop_sequences = Array.isArray(params.stop) ? params.stop : [params.stop];
+  }
+  if (params.user) payload.metadata = { user_id: params.user };
+
+  const tools = (params.tools || [])
+    .filter(tool => tool && tool.type === 'function' && tool.function)
+    .map(({ function: fn }) => ({
+      name: fn.name,
+      ...(fn.description ? { description: fn.description } : {}),
+      input_schema: fn.parameters || { type: 'object', properties: {} }
+    }));
+  if (tools.length > 0) {
+    payload.tools = tools;
+    const toolChoice = toAnthropicToolChoice(params.tool_choice);
+    if (toolChoice) payload.tool_choice = toolChoice;
+  }
+  return payload;
+}
+
+/**
+ * Converts Anthropic usage into an OpenAI usage object. Cached input tokens
+ * count as prompt tokens.
+ * @param {Object} usage - Anthropic usage
+ * @returns {Object|null} - OpenAI usage or null
+ */
+function anthropicToOpenAIUsage(usage) {
+  if (!usage) return null;
+  const prompt = (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0);
+  const completion = usage.output_tokens || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+/**
+ * Maps an Anthropic stop_reason to an OpenAI finish_reason
+ * @param {string} stopReason - Anthropic stop reason
+ * @returns {string|null} - OpenAI finish reason
+ */
+function toFinishReason(stopReason) {
+  if (!stopReason) return null;
+  return FINISH_REASON_MAP[stopReason] || 'stop';
+}
+
+/**
+ * Converts an Anthropic Messages response into an OpenAI chat.completion
+ * @param {string} model - Model name
+ * @param {Object} data - Anthropic message
+ * @returns {Object} - OpenAI chat.completion object
+ */
+function anthropicToOpenAIResponse(model, data) {
+  const blocks = data.content || [];
+  const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+    id: block.id,
+    type: 'function',
+    function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+  }));
+  const message = { role: 'assistant', content: blocksToText(blocks.filter(block => block.type === 'text')) };
+  const reasoning = blocks.filter(block => block.type === 'thinking').map(block => block.thinking || '').join('');
+  if (reasoning) message.reasoning_content = reasoning;
+  if (toolCalls.length > 0) {
+    message.content = message.content || null;
+    message.tool_calls = toolCalls;
+  }
+  return {
+    id: data.id || `anthropic-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, message, finish_reason: toFinishReason(data.stop_reason) || 'stop' }],
+    usage: anthropicToOpenAIUsage(data.usage)
+  };
+}
+
+/**
+ * Creates a stream that turns Anthropic Messages SSE events into OpenAI
+ * chat.completion.chunk SSE events, ending with `data: [DONE]`. Text and
+ * tool input deltas are forwarded as they arrive; the last chunk carries
+ * the finish reason and usage. An upstream `error` event fails the stream.
+ * @param {string} model - Model name
+ * @returns {Transform} - Transform stream
+ */
+function createAnthropicToOpenAIStreamTransform(model) {
+  let id = `anthropic-${Date.now()}`;
+  let sentRole = false;
+  let usage = {};
+  let stopReason = null;
+  // Anthropic content block index -> OpenAI tool call index
+  const toolIndexes = new Map();
+
+  const toChunk = (delta, finishReason = null) => {
+    if (!sentRole) {
+      delta = { role: 'assistant', ...delta };
+      sentRole = true;
+    }
+    const chunk = {
+      id,
+      object: 'chat.completion.chunk',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    };
+    if (finishReason) chunk.usage = anthropicToOpenAIUsage(usage);
+    return `data: ${JSON.stringify(chunk)}\n\n`;
+  };
+
+  const handleEvent = (stream, event) => {
+    switch (event.type) {
+      case 'message_start':
+        id = event.message?.id || id;
+        usage = { ...usage, ...event.message?.usage };
+        break;
+      case 'content_block_start': {
+        const block = event.content_block || {};
+        if (block.type === 'tool_use') {
+          const index = toolIndexes.size;
+          toolIndexes.set(event.index, index);
+          stream.push(toChunk({ tool_calls: [{ index, id: block.id, type: 'function', function: { name: block.name, arguments: '' } }] }));
+        } else if (block.type === 'text' && block.text) {
+          stream.push(toChunk({ content: block.text }));
+        }
+        break;
+      }
+      case 'content_block_delta': {
+        const delta = event.delta || {};
+        if (delta.type === 'text_delta') {
+          stream.push(toChunk({ content: delta.text }));
+        } else if (delta.type === 'thinking_delta') {
+          stream.push(toChunk({ reasoning_content: delta.thinking }));
+        } else if (delta.type === 'input_json_delta' && toolIndexes.has(event.index)) {
+          stream.push(toChunk({ tool_calls: [{ index: toolIndexes.get(event.index), function: { arguments: delta.partial_json } }] }));
+        }
+        break;
+      }
+      case 'message_delta':
+        stopReason = event.delta?.stop_reason || stopReason;
+        usage = { ...usage, ...event.usage };
+        break;
+      case 'message_stop':
+        stream.push(toChunk({}, toFinishReason(stopReason) || 'stop'));
+        break;
+      default:
+        break;
+    }
+  };
+
+  return createSSETransform(handleEvent, stream => stream.push('data: [DONE]\n\n'));
+}
+
+module.exports = {
+  STOP_REASON_MAP,
+  generateMessageId,
+  blocksToText,
+  toOpenAIChatMessages,
+  toOpenAIChatParams,
+  toStopReason,
+  toAnthropicMessage,
+  formatEvent,
+  createAnthropicStreamTransform,
+  buildAnthropicPayload,
+  anthropicToOpenAIUsage,
+  toFinishReason,
+  anthropicToOpenAIResponse,
+  createAnthropicToOpenAIStreamTransform
+};
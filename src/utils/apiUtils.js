@@ -1,136 +1,654 @@
 const axios = require('axios');
-const { URL_HOST, API_KEY, API_STYLE, EMBEDDING_MODEL_MAP } = require('../config/config');
+const { RETRY_POLICY, UPSTREAM_TIMEOUTS, FAILOVER_POLICY, EMBEDDING_BATCH } = require('../config/config');
+const { resolveProvider, resolveTargets } = require('../config/providers');
+const { buildGeminiPayload, inlineImageUrls, toOpenAIChatResponse, createGeminiStreamTransform } = require('./geminiUtils');
+const { buildAnthropicPayload, anthropicToOpenAIResponse, createAnthropicToOpenAIStreamTransform } = require('./anthropicUtils');
+const { toEmbeddingItems, chunkItems, mapWithConcurrency } = require('./embeddingUtils');
+const { pipeUpstream } = require('./streamUtils');
+const { createApiError } = require('./errorUtils');
+const { toSinglePrompt, toChatCompletionParams, toTextCompletion, createTextCompletionStreamTransform } = require('./completionUtils');
 
+// Messages API version sent to Anthropic-style upstreams (a provider header can override it)
+const ANTHROPIC_VERSION = '2023-06-01';
 
 /**
- * Makes a chat completion request to vikey.ai
+ * Builds the axios auth/header options for a provider
+ * @param {Object} provider - Provider from the registry
+ * @returns {Object} - Object with headers and params for axios
+ */
+function buildProviderOptions(provider) {
+  const headers = { 'Content-Type': 'application/json', ...provider.headers };
+  if (provider.apiStyle === 'gemini') {
+    return { headers, params: { key: provider.apiKey } };
+  }
+  if (provider.apiStyle === 'anthropic') {
+    return { headers: { 'anthropic-version': ANTHROPIC_VERSION, ...headers, 'x-api-key': provider.apiKey } };
+  }
+  return { headers: { ...headers, 'Authorization': `Bearer ${provider.apiKey}` } };
+}
+
+// Network errors worth retrying
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET'];
+
+/**
+ * Creates the error raised when the client disconnects before its upstream
+ * call has answered
+ * @returns {Error} - Error with code ECLIENTCLOSED
+ */
+function createClientClosedError() {
+  const error = new Error('Client closed the request');
+  error.code = 'ECLIENTCLOSED';
+  return error;
+}
+
+/**
+ * Creates the signal that cancels a client's upstream calls, retries and
+ * failover: it aborts when the client disconnects before its response has
+ * been sent
+ * @param {Object} res - Express response object
+ * @returns {AbortSignal} - Signal for makeChatRequest and the other request helpers
+ */
+function createClientSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Helper function to delay execution, cut short when the signal aborts
+ * @param {number} ms - Milliseconds to delay
+ * @param {AbortSignal} [signal] - Client signal
+ * @returns {Promise<void>} - Rejects with a client-closed error on abort
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(createClientClosedError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createClientClosedError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Creates the error raised when an upstream timeout fires
+ * @param {string} phase - 'connect', 'idle' or 'total'
+ * @param {number} ms - Timeout that elapsed
+ * @returns {Error} - Timeout error with code ETIMEDOUT
+ */
+function createTimeoutError(phase, ms) {
+  const error = new Error(`Upstream ${phase} timeout after ${ms}ms`);
+  error.code = 'ETIMEDOUT';
+  error.timeoutPhase = phase;
+  return error;
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} - Delay in ms or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decides whether a failed attempt should be retried and after how long.
+ * Uses exponential backoff with full jitter, or the upstream's Retry-After
+ * when it sends one; gives up if Retry-After exceeds the maximum delay.
+ * @param {Error} error - Axios or timeout error
+ * @param {number} attempt - Number of attempts made so far
+ * @returns {number|null} - Delay in ms, or null to stop retrying
+ */
+function getRetryDelay(error, attempt) {
+  if (attempt >= RETRY_POLICY.maxAttempts) return null;
+
+  const status = error.response?.status;
+  const retryable = status
+    ? RETRY_POLICY.statusCodes.includes(status)
+    : (error.timeoutPhase ? error.timeoutPhase === 'connect' : RETRYABLE_ERROR_CODES.includes(error.code));
+  if (!retryable) return null;
+
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) return retryAfter <= RETRY_POLICY.maxDelayMs ? retryAfter : null;
+
+  const backoff = Math.min(RETRY_POLICY.maxDelayMs, RETRY_POLICY.baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * backoff);
+}
+
+// Most of a streamed error body read for its message
+const MAX_ERROR_BODY_BYTES = 64 * 1024;
+
+/**
+ * Reads the body of a failed streamed request, which axios leaves as a
+ * stream, so the upstream's error message can be reported
+ * @param {Object} stream - Error response body stream
+ * @returns {Promise<string>} - Body text (truncated to MAX_ERROR_BODY_BYTES)
+ */
+function readErrorBody(stream) {
+  return new Promise(resolve => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', chunk => {
+      if (size < MAX_ERROR_BODY_BYTES) chunks.push(chunk);
+      size += chunk.length;
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8').slice(0, MAX_ERROR_BODY_BYTES)));
+    stream.on('error', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+/**
+ * Sends one upstream request with connect/idle/total timeouts. For streamed
+ * responses the idle and total timers keep watching the body and destroy
+ * the stream with a timeout error when they fire. The client signal
+ * cancels the request until the response arrives; after that, closing the
+ * client stream ends the upstream one.
+ * @param {Object} config - Axios request config
+ * @param {Object} timeouts - { connect, idle, total } in ms
+ * @param {AbortSignal} [signal] - Client signal
+ * @returns {Promise<Object>} - Axios response
+ */
+async function sendOnce(config, timeouts, signal) {
+  if (signal?.aborted) throw createClientClosedError();
+  const controller = new AbortController();
+  const streaming = config.responseType === 'stream';
+  let timedOut = null;
+  let stream = null;
+
+  const expire = phase => {
+    if (stream) {
+      stream.destroy(createTimeoutError(phase, timeouts[phase]));
+    } else {
+      timedOut = phase;
+      controller.abort();
+    }
+  };
+  const totalTimer = timeouts.total ? setTimeout(() => expire('total'), timeouts.total) : null;
+  // Non-streamed bodies arrive with the headers, so only total applies to them
+  const connectTimer = streaming && timeouts.connect ? setTimeout(() => expire('connect'), timeouts.connect) : null;
+  const onClientClose = () => controller.abort();
+  signal?.addEventListener('abort', onClientClose, { once: true });
+
+  let response;
+  try {
+    response = await axios.request({ ...config, signal: controller.signal });
+  } catch (error) {
+    clearTimeout(totalTimer);
+    if (timedOut) throw createTimeoutError(timedOut, timeouts[timedOut]);
+    if (signal?.aborted) throw createClientClosedError();
+    if (typeof error.response?.data?.pipe === 'function') error.response.data = await readErrorBody(error.response.data);
+    throw error;
+  } finally {
+    clearTimeout(connectTimer);
+    signal?.removeEventListener('abort', onClientClose);
+  }
+
+  if (!streaming) {
+    clearTimeout(totalTimer);
+    return response;
+  }
+
+  stream = response.data;
+  let idleTimer = null;
+  const resetIdle = () => {
+    clearTimeout(idleTimer);
+    if (timeouts.idle) idleTimer = setTimeout(() => expire('idle'), timeouts.idle);
+  };
+  const clearTimers = () => {
+    clearTimeout(idleTimer);
+    clearTimeout(totalTimer);
+  };
+  resetIdle();
+  stream.on('data', resetIdle);
+  stream.on('end', clearTimers);
+  stream.on('close', clearTimers);
+  stream.on('error', clearTimers);
+  return response;
+}
+
+/**
+ * Sends a request (POST unless options.method says otherwise) to an upstream
+ * under the shared retry and timeout policy. Retries happen only while
+ * waiting for the response, so a streamed body is never retried once it has
+ * been handed to the caller. A client signal in options cancels the attempt
+ * in flight and any retry still to come.
+ * @param {string} kind - Request kind ('chat', 'completions', 'embeddings' or 'models')
+ * @param {string} url - Upstream URL
+ * @param {Object} payload - Request body
+ * @param {Object} options - Extra axios options (headers, params, responseType, method) and the client signal
+ * @returns {Promise<Object>} - Axios response
+ */
+async function postUpstream(kind, url, payload, options = {}) {
+  const timeouts = UPSTREAM_TIMEOUTS[kind] || UPSTREAM_TIMEOUTS.chat;
+  const { signal, ...axiosOptions } = options;
+  const config = {
+    method: 'post',
+    url,
+    data: payload,
+    maxBodyLength: Infinity,
+    ...axiosOptions
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sendOnce(config, timeouts, signal);
+    } catch (error) {
+      const wait = error.code === 'ECLIENTCLOSED' ? null : getRetryDelay(error, attempt);
+      if (wait === null) throw error;
+      const reason = error.response?.status ? `status ${error.response.status}` : (error.code || error.message);
+      console.log(`Upstream ${kind} request failed (${reason}), retrying in ${wait}ms (attempt ${attempt + 1}/${RETRY_POLICY.maxAttempts})`);
+      await delay(wait, signal);
+    }
+  }
+}
+
+/**
+ * Sends a generateContent request to a Gemini provider. When streaming, calls
+ * streamGenerateContent (SSE) and returns a stream of OpenAI-style chunks so
+ * callers can treat Gemini like any OpenAI-compatible upstream.
+ * @param {string} kind - Request kind ('chat' or 'completions')
+ * @param {Object} provider - Provider from the registry
  * @param {string} model - Model name
- * @param {Array} messages - Chat messages
+ * @param {Object} payload - Gemini request body
  * @param {boolean} stream - Whether to stream the response
- * @param {Object} otherParams - Additional parameters
- * @returns {Promise<Object>} - API response
- */
-async function makeChatRequest(model, messages, stream = true, otherParams = {}) {
-  if (API_STYLE === 'gemini') {
-    const contents = (messages || []).map(m => ({
-      role: m.role === 'system' ? 'user' : m.role,
-      parts: [{ text: typeof m.content === 'string' ? m.content : JSON.stringify(m.content) }]
-    }));
-    const payload = { contents, generationConfig: { maxOutputTokens: otherParams.max_tokens || 2048 } };
-    const url = `${URL_HOST}/models/${model}:generateContent`;
-    const response = await axios.post(url, payload, {
-      params: { key: API_KEY },
-      headers: { 'Content-Type': 'application/json' }
+ * @param {AbortSignal} [signal] - Client signal
+ * @returns {Promise<Object>} - Axios-like response with OpenAI-shaped data
+ */
+async function makeGeminiRequest(kind, provider, model, payload, stream, signal) {
+  const { headers, params } = buildProviderOptions(provider);
+  if (stream) {
+    const url = `${provider.baseUrl}/models/${model}:streamGenerateContent`;
+    const response = await postUpstream(kind, url, payload, {
+      params: { ...params, alt: 'sse' },
+      headers,
+      responseType: 'stream',
+      signal
     });
-    const candidates = response.data.candidates || [];
-    const text = candidates.length > 0 ? (candidates[0].content?.parts || []).map(p => p.text || '').join('') : '';
-    return { data: {
-      id: `gemini-${Date.now()}`,
-      object: 'chat.completion',
-      created: Math.floor(Date.now() / 1000),
-      model,
-      choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
-      usage: null
-    } };
+    const transform = createGeminiStreamTransform(model);
+    return { status: response.status, headers: response.headers, data: pipeUpstream(response.data, transform) };
   }
-  return await axios.post(`${URL_HOST}/chat/completions`, {
+  const url = `${provider.baseUrl}/models/${model}:generateContent`;
+  const response = await postUpstream(kind, url, payload, { params, headers, signal });
+  return { status: response.status, headers: response.headers, data: toOpenAIChatResponse(model, response.data) };
+}
+
+/**
+ * Sends a Messages request to an Anthropic-style provider. Responses, streamed
+ * or not, are converted to OpenAI shapes so callers can treat the provider
+ * like any OpenAI-compatible upstream.
+ * @param {string} kind - Request kind ('chat' or 'completions')
+ * @param {Object} provider - Provider from the registry
+ * @param {string} model - Model name
+ * @param {Object} payload - Anthropic request body (without model and stream)
+ * @param {boolean} stream - Whether to stream the response
+ * @param {AbortSignal} [signal] - Client signal
+ * @returns {Promise<Object>} - Axios-like response with OpenAI-shaped data
+ */
+async function makeAnthropicRequest(kind, provider, model, payload, stream, signal) {
+  const { headers } = buildProviderOptions(provider);
+  const response = await postUpstream(kind, `${provider.baseUrl}/messages`, { ...payload, model, stream }, {
+    headers,
+    responseType: stream ? 'stream' : 'json',
+    signal
+  });
+  if (!stream) {
+    return { status: response.status, headers: response.headers, data: anthropicToOpenAIResponse(model, response.data) };
+  }
+  const transform = createAnthropicToOpenAIStreamTransform(model);
+  return { status: response.status, headers: response.headers, data: pipeUpstream(response.data, transform) };
+}
+
+/**
+ * Decides whether a failed target should hand over to the next one in its
+ * fallback chain: on configured status codes, and on timeouts and network
+ * errors unless FAILOVER_ON_TIMEOUT is disabled
+ * @param {Error} error - Axios or timeout error
+ * @returns {boolean} - True to try the next target
+ */
+function shouldFailover(error) {
+  const status = error.response?.status;
+  if (status) return FAILOVER_POLICY.statusCodes.includes(status);
+  return FAILOVER_POLICY.onTimeout && (Boolean(error.timeoutPhase) || RETRYABLE_ERROR_CODES.includes(error.code));
+}
+
+/**
+ * Sends a request to each target in the model's fallback chain until one
+ * answers. The response is tagged with `servedBy` ({ model, provider }).
+ * @param {string} kind - Request kind ('chat' or 'completions')
+ * @param {string} model - Upstream model name
+ * @param {Function} send - Called with (model, provider), returns a response
+ * @returns {Promise<Object>} - Response of the first target that answered
+ */
+async function withFailover(kind, model, send) {
+  const targets = resolveTargets(model, kind);
+  for (let i = 0; ; i++) {
+    const target = targets[i];
+    try {
+      const response = await send(target.model, target.provider);
+      response.servedBy = { model: target.model, provider: target.provider.name };
+      return response;
+    } catch (error) {
+      const next = targets[i + 1];
+      if (!next || !shouldFailover(error)) throw error;
+      const reason = error.response?.status ? `status ${error.response.status}` : (error.code || error.message);
+      console.log(`Upstream ${kind} request to ${target.model}@${target.provider.name} failed (${reason}), failing over to ${next.model}@${next.provider.name}`);
+    }
+  }
+}
+
+/**
+ * Sets headers naming the model and provider that actually served a response
+ * @param {Object} res - Express response object
+ * @param {Object} response - Upstream response from makeChatRequest/makeCompletionRequest
+ */
+function setServedByHeaders(res, response) {
+  if (!response.servedBy) return;
+  res.setHeader('X-Upstream-Model', response.servedBy.model);
+  res.setHeader('X-Upstream-Provider', response.servedBy.provider);
+}
+
+// max_tokens sent when the client sets none, per request kind and API style
+const DEFAULT_MAX_TOKENS = {
+  chat: { openai: 3000, gemini: 2048, anthropic: 3000 },
+  completions: { openai: 500, gemini: 1024, anthropic: 500 }
+};
+
+/**
+ * Sends OpenAI chat messages to one provider in its own API style
+ * @param {string} kind - 'chat' or 'completions'
+ * @param {Object} provider - Provider from the registry
+ * @param {string} model - Upstream model name
+ * @param {Array} messages - Chat messages
+ * @param {boolean} stream - Whether to stream the response
+ * @param {Object} params - OpenAI-style parameters
+ * @param {AbortSignal} [signal] - Client signal
+ * @returns {Promise<Object>} - API response with an OpenAI chat body or SSE stream
+ */
+async function sendChat(kind, provider, model, messages, stream, params, signal) {
+  const maxTokens = DEFAULT_MAX_TOKENS[kind][provider.apiStyle] || DEFAULT_MAX_TOKENS[kind].openai;
+  if (provider.apiStyle === 'gemini') {
+    return await makeGeminiRequest(kind, provider, model, buildGeminiPayload(messages, params, maxTokens), stream, signal);
+  }
+  if (provider.apiStyle === 'anthropic') {
+    return await makeAnthropicRequest(kind, provider, model, buildAnthropicPayload(messages, params, maxTokens), stream, signal);
+  }
+  const { headers } = buildProviderOptions(provider);
+  return await postUpstream(kind, `${provider.baseUrl}/chat/completions`, {
+    max_tokens: maxTokens,
+    // Ask for a final usage chunk so streamed responses report real token counts
+    ...(stream ? { stream_options: { include_usage: true } } : {}),
+    ...params,
     model,
     messages,
-    stream,
-    max_tokens: 3000,
-    ...otherParams
+    stream
   }, {
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${API_KEY}`,
-    },
+    headers,
     responseType: stream ? 'stream' : 'json',
-    timeout: stream ? 0 : 60000,
-    maxContentLength: Infinity,
-    maxBodyLength: Infinity,
-    timeoutErrorMessage: 'Request timed out'
+    signal
   });
 }
 
 /**
- * Makes a completion request to vikey.ai
+ * Makes a chat completion request, failing over along the model's fallback chain
  * @param {string} model - Model name
- * @param {string} prompt - Text prompt
+ * @param {Array} messages - Chat messages
  * @param {boolean} stream - Whether to stream the response
  * @param {Object} otherParams - Additional parameters
- * @returns {Promise<Object>} - API response
+ * @param {string} [kind] - Request kind providers are chosen for ('completions' for prompts sent as chat)
+ * @param {AbortSignal} [signal] - Client signal (see createClientSignal)
+ * @returns {Promise<Object>} - API response, with servedBy
  */
-async function makeCompletionRequest(model, prompt, stream = true, otherParams = {}) {
-  if (API_STYLE === 'gemini') {
+async function makeChatRequest(model, messages, stream = true, otherParams = {}, kind = 'chat', signal) {
+  // Gemini cannot fetch image URLs, so they are downloaded at most once and
+  // shared by every Gemini target in the chain
+  let geminiMessages = null;
+  return await withFailover(kind, model, async (targetModel, provider) => {
+    if (provider.apiStyle !== 'gemini') return await sendChat(kind, provider, targetModel, messages, stream, otherParams, signal);
+    geminiMessages = geminiMessages || inlineImageUrls(messages, signal);
+    return await sendChat(kind, provider, targetModel, await geminiMessages, stream, otherParams, signal);
+  });
+}
+
+/**
+ * Makes a legacy text completion request, failing over along the model's
+ * fallback chain. Providers with nativeCompletions get the request as is on
+ * /completions; others answer the prompt as a chat message, converted back
+ * to text_completion form (echo applied locally, suffix rejected).
+ * @param {string} model - Model name
+ * @param {string|Array} prompt - Text prompt
+ * @param {boolean} stream - Whether to stream the response
+ * @param {Object} otherParams - Additional completions parameters
+ * @param {AbortSignal} [signal] - Client signal (see createClientSignal)
+ * @returns {Promise<Object>} - API response with a text_completion body or SSE stream, with servedBy
+ */
+async function makeCompletionRequest(model, prompt, stream = true, otherParams = {}, signal) {
+  return await withFailover('completions', model, async (targetModel, provider) => {
+    if (provider.nativeCompletions && provider.apiStyle === 'openai') {
+      const { headers } = buildProviderOptions(provider);
+      return await postUpstream('completions', `${provider.baseUrl}/completions`, {
+        max_tokens: DEFAULT_MAX_TOKENS.completions.openai,
+        ...(stream ? { stream_options: { include_usage: true } } : {}),
+        ...otherParams,
+        model: targetModel,
+        prompt,
+        stream
+      }, {
+        headers,
+        responseType: stream ? 'stream' : 'json',
+        signal
+      });
+    }
+
+    const text = toSinglePrompt(prompt);
+    const echo = otherParams.echo ? text : '';
+    const messages = [{ role: 'user', content: text }];
+    const response = await sendChat('completions', provider, targetModel, messages, stream, toChatCompletionParams(otherParams), signal);
+    if (!stream) return { status: response.status, headers: response.headers, data: toTextCompletion(response.data, echo) };
+    const transform = createTextCompletionStreamTransform(echo);
+    return { status: response.status, headers: response.headers, data: pipeUpstream(response.data, transform) };
+  });
+}
+
+// Most inputs Gemini accepts in one batchEmbedContents call
+const GEMINI_MAX_EMBEDDING_BATCH = 100;
+
+/**
+ * Embeds one batch of items on a provider
+ * @param {Object} provider - Provider from the registry
+ * @param {string} model - Model name
+ * @param {Array} items - Inputs of the batch
+ * @param {Object} otherParams - Additional parameters (dimensions is mapped for Gemini)
+ * @param {AbortSignal} [signal] - Client signal
+ * @returns {Promise<Object>} - { vectors, usage }
+ */
+async function embedBatch(provider, model, items, otherParams, signal) {
+  if (provider.apiStyle === 'anthropic') throw createApiError(400, `Provider ${provider.name} has no embeddings API`);
+  const { headers, params } = buildProviderOptions(provider);
+  if (provider.apiStyle === 'gemini') {
+    if (items.some(item => typeof item !== 'string')) throw createApiError(400, 'Gemini embeddings only accept text input');
+    const url = `${provider.baseUrl}/models/${model}:batchEmbedContents`;
     const payload = {
-      contents: [{ role: 'user', parts: [{ text: prompt }]}],
-      generationConfig: { maxOutputTokens: otherParams.max_tokens || 1024 }
+      requests: items.map(item => ({
+        model: `models/${model}`,
+        content: { parts: [{ text: item }] },
+        ...(otherParams.dimensions ? { outputDimensionality: otherParams.dimensions } : {})
+      }))
     };
-    const url = `${URL_HOST}/models/${model}:generateContent`;
-    const response = await axios.post(url, payload, { params: { key: API_KEY }, headers: { 'Content-Type': 'application/json' } });
-    const candidates = response.data.candidates || [];
-    const text = candidates.length > 0 ? (candidates[0].content?.parts || []).map(p => p.text || '').join('') : '';
-    return { data: {
-      id: `gemini-${Date.now()}`,
-      object: 'chat.completion',
-      created: Math.floor(Date.now() / 1000),
-      model,
-      choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }]
-    } };
+    const response = await postUpstream('embeddings', url, payload, { params, headers, signal });
+    return { vectors: (response.data.embeddings || []).map(embedding => embedding.values || []), usage: null };
   }
-  const payload = {
-    model,
-    messages: [{ role: 'user', content: prompt }],
-    stream,
-    max_tokens: 500,
-    ...otherParams
-  };
-  return await axios.post(`${URL_HOST}/chat/completions`, payload, {
-    headers: {
-      'Authorization': `Bearer ${API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    responseType: stream ? 'stream' : 'json'
-  });
+
+  // Vectors are always fetched as floats; base64 is applied to the merged result
+  const { encoding_format: _, ...rest } = otherParams;
+  const payload = { model, input: items, ...rest };
+  const response = await postUpstream('embeddings', `${provider.baseUrl}/embeddings`, payload, { headers, signal });
+  const data = (response.data.data || []).slice().sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+  return { vectors: data.map(entry => entry.embedding), usage: response.data.usage || null };
 }
 
 /**
- * Makes an embeddings request to intelligence.io.solutions
+ * Makes an embeddings request to the provider serving the model. Inputs are
+ * split into provider-sized batches sent EMBEDDING_CONCURRENCY at a time,
+ * and the vectors come back as one OpenAI list, in input order.
  * @param {string} model - Model name
- * @param {string|Array} input - Input for embedding
- * @param {Object} otherParams - Additional parameters
- * @returns {Promise<Object>} - API response
+ * @param {string|Array} input - Input for embedding (one text, or an array of texts)
+ * @param {Object} otherParams - Additional parameters (e.g. dimensions, user)
+ * @param {AbortSignal} [signal] - Client signal (see createClientSignal)
+ * @returns {Promise<Object>} - Response whose data is an OpenAI embeddings list
  */
-async function makeEmbeddingsRequest(model, input, otherParams = {}) {
+async function makeEmbeddingsRequest(model, input, otherParams = {}, signal) {
+  const provider = resolveProvider(model, 'embeddings');
   try {
-    const formattedInput = Array.isArray(input) ? input : (typeof input === 'string' ? input : String(input));
-    if (API_STYLE === 'gemini') {
-      const url = `${URL_HOST}/models/${model}:embedContent`;
-      const payload = { content: { parts: [{ text: formattedInput }] } };
-      const response = await axios.post(url, payload, { params: { key: API_KEY }, headers: { 'Content-Type': 'application/json' } });
-      const embedding = response.data.embedding?.values || [];
-      return { data: { data: [{ embedding, index: 0 }], model } };
+    const items = toEmbeddingItems(input);
+    const limit = provider.apiStyle === 'gemini' ? GEMINI_MAX_EMBEDDING_BATCH : Infinity;
+    const batchSize = Math.min(provider.embeddingBatchSize || EMBEDDING_BATCH.size, limit);
+    const batches = chunkItems(items, batchSize);
+    const results = await mapWithConcurrency(batches, EMBEDDING_BATCH.concurrency,
+      batch => embedBatch(provider, model, batch, otherParams, signal));
+
+    const vectors = results.flatMap(result => result.vectors);
+    if (vectors.length !== items.length) {
+      throw createApiError(502, `Upstream returned ${vectors.length} embeddings for ${items.length} inputs`);
     }
-    // Optional mapping when host points to GAIA
-    const payload = { model, input: formattedInput, ...otherParams };
-    const url = `${URL_HOST}/embeddings`;
-    return await axios.post(url, payload, {
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${API_KEY}` }
-    });
+    const reported = results.filter(result => result.usage);
+    const data = {
+      object: 'list',
+      data: vectors.map((embedding, index) => ({ object: 'embedding', index, embedding })),
+      model
+    };
+    // Usage is only reported when every batch reported it
+    if (reported.length === results.length) {
+      const promptTokens = reported.reduce((sum, result) => sum + (result.usage.prompt_tokens || 0), 0);
+      const totalTokens = reported.reduce((sum, result) => sum + (result.usage.total_tokens ?? result.usage.prompt_tokens ?? 0), 0);
+      data.usage = { prompt_tokens: promptTokens, total_tokens: totalTokens };
+    }
+    return { status: 200, headers: {}, data };
   } catch (error) {
     // Improved error logging
     console.error('Error in makeEmbeddingsRequest:');
     console.error('- Status:', error.response?.status);
     console.error('- Message:', error.message);
     console.error('- Response data:', error.response?.data);
+    console.error('- Provider:', provider.name);
     console.error('- Original model:', model);
     console.error('- Input type:', typeof input);
     throw error;
   }
 }
 
+/**
+ * Converts an OpenAI-style /models entry into a catalog entry. OpenRouter-style
+ * metadata (context length, modalities, supported parameters) is used when present.
+ * @param {Object} model - Upstream model object
+ * @returns {Object} - Raw catalog entry
+ */
+function fromOpenAIModel(model) {
+  const entry = { name: model.id, owned_by: model.owned_by || 'upstream' };
+  if (model.created) entry.modified_at = new Date(model.created * 1000).toISOString();
+  const contextLength = model.context_length || model.top_provider?.context_length;
+  if (contextLength) entry.context_length = contextLength;
+
+  const inputs = model.architecture?.input_modalities;
+  const parameters = model.supported_parameters;
+  if (Array.isArray(inputs) || Array.isArray(parameters)) {
+    const outputs = model.architecture?.output_modalities || ['text'];
+    const capabilities = outputs.includes('text') ? ['chat'] : [];
+    if ((parameters || []).includes('tools')) capabilities.push('tools');
+    if ((inputs || []).includes('image')) capabilities.push('vision');
+    if ((parameters || []).includes('reasoning')) capabilities.push('thinking');
+    entry.capabilities = capabilities;
+  }
+  return entry;
+}
+
+/**
+ * Converts a Gemini models.list entry into a catalog entry
+ * @param {Object} model - Gemini model object
+ * @returns {Object} - Raw catalog entry
+ */
+function fromGeminiModel(model) {
+  const methods = model.supportedGenerationMethods || [];
+  const entry = {
+    name: String(model.name || '').replace(/^models\//, ''),
+    owned_by: 'google',
+    capabilities: methods.some(m => m.startsWith('embed'))
+      ? ['embedding']
+      : ['chat', 'tools', 'vision', ...(model.thinking ? ['thinking'] : [])]
+  };
+  if (model.inputTokenLimit) entry.context_length = model.inputTokenLimit;
+  return entry;
+}
+
+/**
+ * Converts an Anthropic /models entry into a catalog entry
+ * @param {Object} model - Anthropic model object
+ * @returns {Object} - Raw catalog entry
+ */
+function fromAnthropicModel(model) {
+  const entry = { name: model.id, owned_by: 'anthropic', capabilities: ['chat', 'tools', 'vision'] };
+  if (model.created_at) entry.modified_at = new Date(model.created_at).toISOString();
+  return entry;
+}
+
+/**
+ * Lists the models a provider serves, from its /models endpoint (Gemini:
+ * models.list, following page tokens; Anthropic: following after_id)
+ * @param {Object} provider - Provider from the registry
+ * @returns {Promise<Array<Object>>} - Raw catalog entries
+ */
+async function listUpstreamModels(provider) {
+  const { headers, params } = buildProviderOptions(provider);
+  const url = `${provider.baseUrl}/models`;
+  if (provider.apiStyle === 'anthropic') {
+    const models = [];
+    let afterId;
+    do {
+      const response = await postUpstream('models', url, undefined, {
+        method: 'get',
+        headers,
+        params: { limit: 1000, ...(afterId ? { after_id: afterId } : {}) }
+      });
+      (response.data?.data || []).filter(model => model.id).forEach(model => models.push(fromAnthropicModel(model)));
+      afterId = response.data?.has_more ? response.data.last_id : null;
+    } while (afterId);
+    return models;
+  }
+  if (provider.apiStyle !== 'gemini') {
+    const response = await postUpstream('models', url, undefined, { method: 'get', headers });
+    return (response.data?.data || []).filter(model => model.id).map(fromOpenAIModel);
+  }
+
+  const models = [];
+  let pageToken;
+  do {
+    const response = await postUpstream('models', url, undefined, {
+      method: 'get',
+      headers,
+      params: { ...params, pageSize: 1000, ...(pageToken ? { pageToken } : {}) }
+    });
+    (response.data?.models || []).forEach(model => models.push(fromGeminiModel(model)));
+    pageToken = response.data?.nextPageToken;
+  } while (pageToken);
+  return models;
+}
+
 module.exports = {
+  listUpstreamModels,
+  createClientSignal,
   makeChatRequest,
   makeCompletionRequest,
-  makeEmbeddingsRequest
+  makeEmbeddingsRequest,
+  setServedByHeaders
 };
\ No newline at end of file
@@ -0,0 +1,173 @@
+const { createSSETransform } = require('./streamUtils');
+const { createApiError } = require('./errorUtils');
+const { createReasoningParser, getUpstreamReasoning, separateReasoning, isReasoningReturned } = require('./reasoningUtils');
+
+/**
+ * Reduces a completions prompt to the single text a chat upstream can answer
+ * @param {string|Array} prompt - Request prompt
+ * @returns {string} - Prompt text
+ */
+function toSinglePrompt(prompt) {
+  if (prompt === undefined || prompt === null) return '';
+  if (typeof prompt === 'string') return prompt;
+  if (Array.isArray(prompt) && prompt.length === 1 && typeof prompt[0] === 'string') return prompt[0];
+  throw createApiError(400, 'Several prompts or token-id prompts need a provider with nativeCompletions');
+}
+
+/**
+ * Maps legacy completions parameters onto chat parameters. echo is applied
+ * locally, logprobs becomes the chat logprobs/top_logprobs pair and best_of
+ * is dropped; suffix (fill-in-the-middle) has no chat equivalent.
+ * @param {Object} params - Completions parameters
+ * @returns {Object} - Chat parameters
+ */
+function toChatCompletionParams(params = {}) {
+  const { echo: _, suffix, logprobs, best_of: __, ...rest } = params;
+  if (suffix) throw createApiError(400, 'suffix needs a provider with nativeCompletions', { param: 'suffix' });
+  if (logprobs !== undefined && logprobs !== null && logprobs !== false) {
+    rest.logprobs = true;
+    if (logprobs > 0) rest.top_logprobs = logprobs;
+  }
+  return rest;
+}
+
+/**
+ * Converts chat logprobs into the legacy completions form
+ * @param {Object} logprobs - Chat choice logprobs ({ content: [...] }) or completions logprobs
+ * @param {number} offset - Text offset of the first token
+ * @returns {Object|null} - { tokens, token_logprobs, top_logprobs, text_offset }
+ */
+function toTextLogprobs(logprobs, offset) {
+  if (logprobs && Array.isArray(logprobs.tokens)) return logprobs;
+  const content = logprobs?.content;
+  if (!Array.isArray(content)) return null;
+  const textOffset = [];
+  content.reduce((position, entry) => {
+    textOffset.push(position);
+    return position + (entry.token || '').length;
+  }, offset);
+  return {
+    tokens: content.map(entry => entry.token),
+    token_logprobs: content.map(entry => entry.logprob),
+    top_logprobs: content.map(entry => Object.fromEntries((entry.top_logprobs || []).map(top => [top.token, top.logprob]))),
+    text_offset: textOffset
+  };
+}
+
+/**
+ * Converts a chat.completion (or passes a text_completion through) into a
+ * text_completion object. Reasoning a chat upstream reports apart is kept
+ * as reasoning_content on the choice.
+ * @param {Object} data - Upstream response body
+ * @param {string} [echo] - Prompt prepended to every choice when echo is set
+ * @returns {Object} - text_completion object
+ */
+function toTextCompletion(data, echo = '') {
+  return {
+    id: String(data.id || `cmpl-${Date.now()}`).replace(/^chatcmpl-/, 'cmpl-'),
+    object: 'text_completion',
+    created: data.created || Math.floor(Date.now() / 1000),
+    model: data.model,
+    choices: (data.choices || []).map((choice, index) => (typeof choice.text === 'string' ? choice : {
+      index: choice.index ?? index,
+      text: echo + (choice.message?.content || ''),
+      ...(getUpstreamReasoning(choice.message) ? { reasoning_content: getUpstreamReasoning(choice.message) } : {}),
+      logprobs: toTextLogprobs(choice.logprobs, echo.length),
+      finish_reason: choice.finish_reason ?? null
+    })),
+    ...(data.usage ? { usage: data.usage } : {})
+  };
+}
+
+/**
+ * Moves the reasoning of a text_completion's choices, inline in <think>
+ * blocks or in reasoning_content, out of their text: into reasoning_content,
+ * or nowhere with REASONING_OUTPUT=strip
+ * @param {Object} completion - text_completion object
+ * @returns {Object} - text_completion with answer-only text
+ */
+function separateTextReasoning(completion) {
+  return {
+    ...completion,
+    choices: completion.choices.map(({ text, reasoning_content: reasoning, ...choice }) => {
+      const separated = separateReasoning({ content: text, reasoning_content: reasoning }, 'reasoning_content');
+      return {
+        index: choice.index,
+        text: separated.content || '',
+        ...(separated.reasoning_content ? { reasoning_content: separated.reasoning_content } : {}),
+        ...choice
+      };
+    })
+  };
+}
+
+/**
+ * Creates a stream that turns OpenAI chat.completion.chunk SSE events (or
+ * text_completion chunks, unchanged) into text_completion SSE chunks.
+ * Reasoning reported apart travels as reasoning_content; with
+ * splitReasoning, reasoning inline in <think> blocks is moved there too, and
+ * all of it is dropped with REASONING_OUTPUT=strip.
+ * @param {string} [echo] - Prompt sent first on every choice when echo is set
+ * @param {boolean} [splitReasoning] - Whether to separate reasoning for a client
+ * @returns {Transform} - Transform stream
+ */
+function createTextCompletionStreamTransform(echo = '', splitReasoning = false) {
+  // Text already sent per choice index, for echo and logprob offsets
+  const offsets = new Map();
+  // Reasoning parsers per choice index, when splitting
+  const parsers = new Map();
+  let lastBase = null;
+
+  // Separates { text, reasoning } of one choice, for a client or as is
+  const split = (index, text, reasoning) => {
+    if (!splitReasoning) return { text, reasoning };
+    if (!parsers.has(index)) parsers.set(index, createReasoningParser());
+    const parsed = parsers.get(index).push({ content: text, reasoning_content: reasoning });
+    return { text: parsed.content, reasoning: isReasoningReturned() ? parsed.reasoning : '' };
+  };
+
+  const handleChunk = (stream, chunk) => {
+    const base = {
+      id: String(chunk.id || `cmpl-${Date.now()}`).replace(/^chatcmpl-/, 'cmpl-'),
+      object: 'text_completion',
+      created: chunk.created || Math.floor(Date.now() / 1000),
+      model: chunk.model
+    };
+    lastBase = base;
+    const choices = (chunk.choices || []).map(choice => {
+      const index = choice.index ?? 0;
+      const prefix = offsets.has(index) ? '' : echo;
+      const offset = offsets.get(index) || 0;
+      const { text, reasoning } = split(index, prefix + (choice.text ?? choice.delta?.content ?? ''), getUpstreamReasoning(choice.delta || choice));
+      offsets.set(index, offset + text.length);
+      return {
+        index,
+        text,
+        ...(reasoning ? { reasoning_content: reasoning } : {}),
+        logprobs: toTextLogprobs(choice.logprobs, offset + prefix.length),
+        finish_reason: choice.finish_reason ?? null
+      };
+    }).filter(choice => choice.text || choice.reasoning_content || choice.finish_reason || choice.logprobs);
+    if (choices.length > 0) stream.push(`data: ${JSON.stringify({ ...base, choices })}\n\n`);
+    if (chunk.usage) stream.push(`data: ${JSON.stringify({ ...base, choices: [], usage: chunk.usage })}\n\n`);
+  };
+
+  return createSSETransform(handleChunk, stream => {
+    // Text held back by the reasoning parsers in case a tag was split
+    const choices = [...parsers.entries()].map(([index, parser]) => {
+      const rest = parser.flush();
+      const reasoning = isReasoningReturned() ? rest.reasoning : '';
+      return { index, text: rest.content, ...(reasoning ? { reasoning_content: reasoning } : {}), logprobs: null, finish_reason: null };
+    }).filter(choice => choice.text || choice.reasoning_content);
+    if (choices.length > 0) stream.push(`data: ${JSON.stringify({ ...lastBase, choices })}\n\n`);
+    stream.push('data: [DONE]\n\n');
+  });
+}
+
+module.exports = {
+  toSinglePrompt,
+  toChatCompletionParams,
+  toTextCompletion,
+  separateTextReasoning,
+  createTextCompletionStreamTransform
+};
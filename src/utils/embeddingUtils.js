@@ -0,0 +1,128 @@
+const { EMBEDDING_OUTPUT } = require('../config/config');
+const { CHARS_PER_TOKEN, estimateTokens } = require('./metricsUtils');
+const { createApiError } = require('./errorUtils');
+
+/**
+ * Splits an embedding input into items, one vector each. A string, or an
+ * array of token ids, is a single item; an array of those is one item per entry.
+ * @param {string|Array} input - Request input
+ * @returns {Array<string|Array<number>>} - Items in request order
+ */
+function toEmbeddingItems(input) {
+  if (!Array.isArray(input)) return [typeof input === 'string' ? input : String(input)];
+  if (input.length > 0 && input.every(item => typeof item === 'number')) return [input];
+  return input.map(item => (typeof item === 'string' || Array.isArray(item) ? item : String(item)));
+}
+
+/**
+ * Finds the items longer than a context length
+ * @param {Array<string|Array<number>>} items - Embedding items
+ * @param {number} contextLength - Model context length in tokens
+ * @returns {Array<number>} - Indexes of the items that do not fit
+ */
+function findOversizedItems(items, contextLength) {
+  return items
+    .map((item, index) => ((Array.isArray(item) ? item.length : estimateTokens(item)) > contextLength ? index : -1))
+    .filter(index => index >= 0);
+}
+
+/**
+ * Cuts every item down to a context length, as Ollama does with truncate: true
+ * @param {Array<string|Array<number>>} items - Embedding items
+ * @param {number} contextLength - Model context length in tokens
+ * @returns {Array<string|Array<number>>} - Items that fit the context
+ */
+function truncateItems(items, contextLength) {
+  return items.map(item => (Array.isArray(item)
+    ? item.slice(0, contextLength)
+    : item.slice(0, contextLength * CHARS_PER_TOKEN)));
+}
+
+/**
+ * Splits items into consecutive batches
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum batch size
+ * @returns {Array<Array>} - Batches in order
+ */
+function chunkItems(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) batches.push(items.slice(i, i + size));
+  return batches;
+}
+
+/**
+ * Maps items through an async function, running at most `limit` at a time
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum calls in flight
+ * @param {Function} fn - Async mapper (item, index)
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Rescales a vector to unit (L2) length
+ * @param {Array<number>} vector - Embedding
+ * @returns {Array<number>} - Normalized embedding (unchanged when all zeros)
+ */
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Shapes vectors for the client per EMBEDDING_OUTPUT: fits them to the
+ * expected dimension (truncating or zero-padding), or rejects a mismatch
+ * under the strict policy, then L2-normalizes them if enabled
+ * @param {Array<Array<number>>} vectors - Upstream embeddings
+ * @param {number} [dimensions] - Dimension the client expects (none to keep)
+ * @returns {Array<Array<number>>} - Shaped embeddings
+ */
+function shapeEmbeddings(vectors, dimensions) {
+  const { dimensionPolicy, normalize } = EMBEDDING_OUTPUT;
+  return vectors.map(vector => {
+    let shaped = vector;
+    if (dimensions && vector.length !== dimensions) {
+      if (dimensionPolicy === 'strict') {
+        throw createApiError(502, `Upstream returned ${vector.length}-dimensional embeddings, expected ${dimensions}`);
+      }
+      if (dimensionPolicy === 'fit') {
+        shaped = vector.length > dimensions
+          ? vector.slice(0, dimensions)
+          : vector.concat(new Array(dimensions - vector.length).fill(0));
+      }
+    }
+    return normalize ? normalizeVector(shaped) : shaped;
+  });
+}
+
+/**
+ * Encodes a vector for an OpenAI embeddings response
+ * @param {Array<number>} vector - Embedding
+ * @param {string} [format] - 'float' (default) or 'base64' (little-endian float32)
+ * @returns {Array<number>|string} - Encoded embedding
+ */
+function encodeEmbedding(vector, format) {
+  if (format !== 'base64') return vector;
+  return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+module.exports = {
+  toEmbeddingItems,
+  findOversizedItems,
+  truncateItems,
+  chunkItems,
+  mapWithConcurrency,
+  shapeEmbeddings,
+  encodeEmbedding
+};
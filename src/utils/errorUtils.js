@@ -0,0 +1,216 @@
+const { PROVIDERS } = require('../config/providers');
+
+// Anthropic error types by HTTP status
+const ANTHROPIC_ERROR_TYPES = {
+  401: 'authentication_error',
+  403: 'permission_error',
+  402: 'billing_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error'
+};
+
+// Upstream failures clients need to tell apart. Each applies when the
+// upstream status is one of `statuses` and its error code or message matches.
+const UPSTREAM_ERROR_CLASSES = [
+  {
+    code: 'model_not_found',
+    status: 404,
+    statuses: [400, 404, 422],
+    pattern: /model_not_found|model.{0,60}(not found|does not exist|not exist|is not available|not supported)|(unknown|invalid|no such) model/i
+  },
+  {
+    code: 'context_length_exceeded',
+    status: 400,
+    statuses: [400, 413, 422],
+    pattern: /context_length_exceeded|context (length|window)|maximum context|too many tokens|prompt is too long|input is too long|exceeds? the max(imum)? (number of )?tokens/i
+  },
+  {
+    code: 'insufficient_quota',
+    status: 402,
+    statuses: [400, 402, 403, 429],
+    pattern: /insufficient_quota|insufficient (credits?|balance|funds)|out of credits?|credit balance|exceeded your current quota|billing|payment required/i
+  }
+];
+
+// Network errors meaning the upstream could not be reached
+const UNREACHABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH', 'UND_ERR_SOCKET'];
+
+// Longest upstream error message passed on to clients
+const MAX_UPSTREAM_MESSAGE_LENGTH = 1000;
+
+/**
+ * Creates an error to be sent to the client as is
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} options - Optional OpenAI error code and param
+ * @returns {Error} - Error with statusCode (and errorCode/param when given)
+ */
+function createApiError(status, message, options = {}) {
+  const error = new Error(message);
+  error.statusCode = status;
+  if (options.code) error.errorCode = options.code;
+  if (options.param) error.param = options.param;
+  return error;
+}
+
+/**
+ * Removes credentials from text headed for a client: the API keys of every
+ * configured provider, bearer tokens, `key=` query parameters and key-like
+ * tokens (sk-..., AIza...)
+ * @param {string} text - Text, e.g. an upstream error message
+ * @returns {string} - Redacted text
+ */
+function redactSecrets(text) {
+  let redacted = String(text);
+  PROVIDERS.forEach(provider => {
+    if (provider.apiKey && provider.apiKey.length >= 8) redacted = redacted.split(provider.apiKey).join('[redacted]');
+  });
+  return redacted
+    .replace(/(Bearer\s+)[\w.~+/=-]+/gi, '$1[redacted]')
+    .replace(/([?&](?:key|api_key|apikey)=)[^&\s"']+/gi, '$1[redacted]')
+    .replace(/\b(?:sk|rk)-[\w-]{8,}/g, '[redacted]')
+    .replace(/\bAIza[\w-]{20,}/g, '[redacted]');
+}
+
+/**
+ * Reads the error details out of an upstream error body in any of the
+ * supported API styles (`{error:{message,type,code,param}}`, Gemini's
+ * `{error:{code,message,status}}`, `{error:"..."}`, `{message}` or text)
+ * @param {*} data - Upstream response body
+ * @returns {Object} - { message, code, param }
+ */
+function parseUpstreamError(data) {
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      return { message: data.trim(), code: null, param: null };
+    }
+  }
+  const body = Array.isArray(data) ? data[0] : data;
+  const error = body?.error ?? body;
+  if (typeof error === 'string') return { message: error, code: null, param: null };
+  const code = [error?.code, error?.status, error?.type].find(value => typeof value === 'string') || null;
+  return {
+    message: String(error?.message || body?.message || body?.detail || ''),
+    code,
+    param: typeof error?.param === 'string' ? error.param : null
+  };
+}
+
+/**
+ * Maps an error raised while serving a request onto what the client is sent.
+ * Upstream 4xx statuses and messages are passed on (5xx become 502), with
+ * model-not-found, context-too-long and out-of-credit failures given their
+ * own code; errors created with a statusCode keep it; timeouts become 504
+ * and unreachable upstreams 502. Messages are redacted.
+ * @param {Error} error - Axios, timeout, body-parser or API error
+ * @returns {Object} - { status, message, code, param, retryAfter }
+ */
+function toApiError(error) {
+  const upstream = error.response;
+  if (upstream?.status) {
+    const details = parseUpstreamError(upstream.data);
+    const text = `${details.code || ''} ${details.message}`;
+    const match = UPSTREAM_ERROR_CLASSES.find(c => c.statuses.includes(upstream.status) && c.pattern.test(text));
+    const message = details.message.slice(0, MAX_UPSTREAM_MESSAGE_LENGTH) || `Upstream returned status ${upstream.status}`;
+    return {
+      status: match ? match.status : (upstream.status >= 500 ? 502 : upstream.status),
+      message: redactSecrets(`Upstream error: ${message}`),
+      code: match ? match.code : (upstream.status >= 500 ? 'upstream_error' : details.code),
+      param: details.param,
+      retryAfter: upstream.headers?.['retry-after'] || null
+    };
+  }
+  const status = error.statusCode || error.status;
+  if (status && error.expose !== false) {
+    // body-parser reports malformed and oversized bodies this way
+    const message = error.type === 'entity.parse.failed' ? `Invalid JSON body: ${error.message}` : error.message;
+    return { status, message: redactSecrets(message), code: error.errorCode || null, param: error.param || null, retryAfter: null };
+  }
+  if (error.timeoutPhase) {
+    return { status: 504, message: error.message, code: 'upstream_timeout', param: null, retryAfter: null };
+  }
+  if (UNREACHABLE_ERROR_CODES.includes(error.code)) {
+    return { status: 502, message: `Upstream connection failed (${error.code})`, code: 'upstream_unreachable', param: null, retryAfter: null };
+  }
+  return { status: 500, message: 'Internal server error', code: null, param: null, retryAfter: null };
+}
+
+/**
+ * Checks whether a request path belongs to the OpenAI-compatible API
+ * @param {string} path - Request path
+ * @returns {boolean} - True for /v1/* routes
+ */
+function isOpenAIRoute(path) {
+  return /^\/v1(\/|$)/.test(path || '');
+}
+
+/**
+ * Checks whether a request path belongs to the Anthropic Messages API
+ * @param {string} path - Request path
+ * @returns {boolean} - True for /v1/messages routes
+ */
+function isAnthropicRoute(path) {
+  return /^\/v1\/messages(\/|$)/.test(path || '');
+}
+
+/**
+ * Sends an error in the dialect of the route: `{type:'error',error:{type,message}}`
+ * for Anthropic routes, `{error:{message,type,code}}` for OpenAI routes and
+ * `{error}` for Ollama routes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} options - Optional OpenAI error type, code and param
+ */
+function sendError(req, res, status, message, options = {}) {
+  if (isAnthropicRoute(req.path)) {
+    res.status(status).json({
+      type: 'error',
+      error: {
+        type: ANTHROPIC_ERROR_TYPES[status] || (status >= 500 ? 'api_error' : 'invalid_request_error'),
+        message
+      }
+    });
+  } else if (isOpenAIRoute(req.path)) {
+    res.status(status).json({
+      error: {
+        message,
+        type: options.type || (status >= 500 ? 'server_error' : 'invalid_request_error'),
+        code: options.code || null,
+        param: options.param || null
+      }
+    });
+  } else {
+    res.status(status).json({ error: message });
+  }
+}
+
+/**
+ * Sends any error raised while serving a request, mapped by toApiError, in
+ * the dialect of the route
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error to report
+ */
+function sendApiError(req, res, error) {
+  const { status, message, code, param, retryAfter } = toApiError(error);
+  if (retryAfter) res.setHeader('Retry-After', retryAfter);
+  // OpenAI reports exhausted credit with its own error type
+  const type = code === 'insufficient_quota' ? 'insufficient_quota' : undefined;
+  sendError(req, res, status, message, { type, code, param });
+}
+
+module.exports = {
+  isOpenAIRoute,
+  isAnthropicRoute,
+  createApiError,
+  redactSecrets,
+  toApiError,
+  sendError,
+  sendApiError
+};
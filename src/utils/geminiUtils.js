@@ -0,0 +1,374 @@
+const { parseDataUri, normalizeBase64Image, fetchImage, prepareImage } = require('./imageUtils');
+const { createApiError } = require('./errorUtils');
+const { generateToolCallId, parseToolArguments } = require('./toolUtils');
+const { createSSETransform } = require('./streamUtils');
+
+// JSON Schema keywords Gemini's responseSchema does not accept
+const UNSUPPORTED_SCHEMA_KEYS = ['$schema', '$id', '$defs', 'definitions', 'additionalProperties', 'strict', 'title', 'default'];
+
+// Gemini finish reasons mapped to OpenAI finish_reason values
+const FINISH_REASON_MAP = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter'
+};
+
+// Image URLs the proxy downloads itself before calling Gemini
+const REMOTE_URL = /^https?:\/\//i;
+
+/**
+ * Gets the URL of an image_url content part
+ * @param {Object|string} part - OpenAI content part
+ * @returns {string|undefined} - Image URL, if the part is an image
+ */
+function getImageUrl(part) {
+  if (!part || typeof part !== 'object' || !(part.type === 'image_url' || part.image_url)) return undefined;
+  return typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+}
+
+/**
+ * Converts one OpenAI content part into a Gemini part
+ * @param {Object|string} part - OpenAI content part
+ * @returns {Object|null} - Gemini part or null if unsupported
+ */
+function toGeminiPart(part) {
+  if (typeof part === 'string') return { text: part };
+  if (!part || typeof part !== 'object') return null;
+  if (part.type === 'text' || typeof part.text === 'string') return { text: part.text || '' };
+  if (part.type === 'image_url' || part.image_url) {
+    const url = getImageUrl(part);
+    const inline = parseDataUri(url);
+    if (inline) return { inline_data: { mime_type: inline.mimeType, data: inline.data } };
+    if (url) throw createApiError(400, `Unsupported image URL for Gemini: ${url}`, { code: 'invalid_image_url' });
+  }
+  return null;
+}
+
+/**
+ * Downloads the http(s) images of OpenAI image_url parts and replaces them
+ * with data URIs, downscaled and size-checked like Ollama images. Gemini
+ * cannot fetch arbitrary URLs itself, so they are sent as inline_data instead.
+ * @param {Array} messages - Chat messages
+ * @param {AbortSignal} [signal] - Client signal, which cancels the downloads
+ * @returns {Promise<Array>} - Messages with remote images inlined
+ */
+async function inlineImageUrls(messages, signal) {
+  return Promise.all((messages || []).map(async message => {
+    if (!Array.isArray(message.content) || !message.content.some(part => REMOTE_URL.test(getImageUrl(part) || ''))) {
+      return message;
+    }
+    const content = await Promise.all(message.content.map(async part => {
+      const url = getImageUrl(part);
+      if (!REMOTE_URL.test(url || '')) return part;
+      const image = await fetchImage(url, signal);
+      const { mimeType, data } = await prepareImage(`data:${image.mimeType};base64,${image.data}`);
+      return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } };
+    }));
+    return { ...message, content };
+  }));
+}
+
+/**
+ * Converts a chat message (OpenAI content or Ollama images) into Gemini parts
+ * @param {Object} message - Chat message
+ * @returns {Array<Object>} - Gemini parts
+ */
+function toGeminiParts(message) {
+  const parts = [];
+  const { content } = message;
+  if (Array.isArray(content)) {
+    content.map(toGeminiPart).filter(Boolean).forEach(p => parts.push(p));
+  } else if (content !== undefined && content !== null && content !== '') {
+    parts.push({ text: typeof content === 'string' ? content : JSON.stringify(content) });
+  }
+  (message.images || []).forEach(image => {
+    const { mimeType, data } = normalizeBase64Image(image);
+    parts.push({ inline_data: { mime_type: mimeType, data } });
+  });
+  (message.tool_calls || []).forEach(call => {
+    parts.push({ functionCall: { name: call.function?.name, args: parseToolArguments(call.function?.arguments) } });
+  });
+  return parts;
+}
+
+/**
+ * Builds a Gemini functionResponse part for an OpenAI `tool` message
+ * @param {Object} message - Tool result message
+ * @param {Object} callNames - Map of tool_call_id to function name
+ * @returns {Object} - Gemini part
+ */
+function toFunctionResponsePart(message, callNames) {
+  const name = callNames[message.tool_call_id] || message.name || message.tool_name || 'tool';
+  const text = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+  let response;
+  try {
+    response = JSON.parse(text);
+  } catch (e) {
+    response = null;
+  }
+  if (!response || typeof response !== 'object' || Array.isArray(response)) response = { content: text };
+  return { functionResponse: { name, response } };
+}
+
+/**
+ * Converts OpenAI function tools into Gemini tools
+ * @param {Array} tools - OpenAI tools
+ * @returns {Array|null} - Gemini tools or null when there are none
+ */
+function toGeminiTools(tools) {
+  const declarations = (tools || [])
+    .filter(tool => tool && tool.type === 'function' && tool.function)
+    .map(({ function: fn }) => {
+      const declaration = { name: fn.name };
+      if (fn.description) declaration.description = fn.description;
+      if (fn.parameters && Object.keys(fn.parameters.properties || {}).length > 0) {
+        declaration.parameters = toGeminiSchema(fn.parameters);
+      }
+      return declaration;
+    });
+  return declarations.length > 0 ? [{ functionDeclarations: declarations }] : null;
+}
+
+/**
+ * Converts an OpenAI tool_choice into a Gemini toolConfig
+ * @param {string|Object} toolChoice - OpenAI tool_choice
+ * @returns {Object|null} - Gemini toolConfig or null
+ */
+function toGeminiToolConfig(toolChoice) {
+  if (!toolChoice) return null;
+  if (toolChoice === 'none') return { functionCallingConfig: { mode: 'NONE' } };
+  if (toolChoice === 'auto') return { functionCallingConfig: { mode: 'AUTO' } };
+  if (toolChoice === 'required') return { functionCallingConfig: { mode: 'ANY' } };
+  if (toolChoice.function?.name) {
+    return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.function.name] } };
+  }
+  return null;
+}
+
+/**
+ * Strips JSON Schema keywords that Gemini's responseSchema rejects
+ * @param {*} schema - JSON schema (or any nested value)
+ * @returns {*} - Cleaned schema
+ */
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const cleaned = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (UNSUPPORTED_SCHEMA_KEYS.includes(key)) return;
+    cleaned[key] = key === 'properties'
+      ? Object.fromEntries(Object.entries(value || {}).map(([k, v]) => [k, toGeminiSchema(v)]))
+      : toGeminiSchema(value);
+  });
+  return cleaned;
+}
+
+/**
+ * Maps OpenAI sampling parameters onto a Gemini generationConfig
+ * @param {Object} params - OpenAI-style request parameters
+ * @param {number} defaultMaxTokens - maxOutputTokens used when none is given
+ * @returns {Object} - Gemini generationConfig
+ */
+function buildGenerationConfig(params = {}, defaultMaxTokens = 2048) {
+  const config = { maxOutputTokens: params.max_tokens || params.max_completion_tokens || defaultMaxTokens };
+  if (params.temperature !== undefined) config.temperature = params.temperature;
+  if (params.top_p !== undefined) config.topP = params.top_p;
+  if (params.top_k !== undefined) config.topK = params.top_k;
+  if (params.seed !== undefined) config.seed = params.seed;
+  if (params.presence_penalty !== undefined) config.presencePenalty = params.presence_penalty;
+  if (params.frequency_penalty !== undefined) config.frequencyPenalty = params.frequency_penalty;
+  if (params.n !== undefined) config.candidateCount = params.n;
+  if (params.stop !== undefined && params.stop !== null) {
+    config.stopSequences = Array.isArray(params.stop) ? params.stop : [params.stop];
+  }
+
+  const format = params.response_format;
+  if (format && (format.type === 'json_object' || format.type === 'json_schema')) {
+    config.responseMimeType = 'application/json';
+    const schema = format.json_schema?.schema;
+    if (schema) config.responseSchema = toGeminiSchema(schema);
+  }
+  return config;
+}
+
+/**
+ * Translates OpenAI/Ollama chat messages and parameters into a Gemini
+ * generateContent request body. System messages become systemInstruction
+ * and assistant turns use Gemini's `model` role.
+ * @param {Array} messages - Chat messages
+ * @param {Object} params - OpenAI-style request parameters
+ * @param {number} defaultMaxTokens - maxOutputTokens used when none is given
+ * @returns {Object} - Gemini request body
+ */
+function buildGeminiPayload(messages, params = {}, defaultMaxTokens = 2048) {
+  const systemParts = [];
+  const contents = [];
+  const callNames = {};
+
+  (messages || []).forEach(message => {
+    (message.tool_calls || []).forEach(call => {
+      if (call.id) callNames[call.id] = call.function?.name;
+    });
+    const parts = message.role === 'tool' ? [toFunctionResponsePart(message, callNames)] : toGeminiParts(message);
+    if (message.role === 'system' || message.role === 'developer') {
+      systemParts.push(...parts.filter(p => p.text !== undefined));
+      return;
+    }
+    if (parts.length === 0) return;
+    const role = message.role === 'assistant' ? 'model' : 'user';
+    const previous = contents[contents.length - 1];
+    // Gemini expects alternating turns, so merge consecutive messages of the same role
+    if (previous && previous.role === role) previous.parts.push(...parts);
+    else contents.push({ role, parts });
+  });
+
+  const payload = { contents, generationConfig: buildGenerationConfig(params, defaultMaxTokens) };
+  if (systemParts.length > 0) payload.systemInstruction = { parts: systemParts };
+  const tools = toGeminiTools(params.tools);
+  if (tools) payload.tools = tools;
+  const toolConfig = toGeminiToolConfig(params.tool_choice);
+  if (tools && toolConfig) payload.toolConfig = toolConfig;
+  return payload;
+}
+
+/**
+ * Maps a Gemini finishReason to an OpenAI finish_reason
+ * @param {string} reason - Gemini finish reason
+ * @returns {string|null} - OpenAI finish reason
+ */
+function mapFinishReason(reason) {
+  if (!reason || reason === 'FINISH_REASON_UNSPECIFIED') return null;
+  return FINISH_REASON_MAP[reason] || 'stop';
+}
+
+/**
+ * Joins the text parts of the first Gemini candidate
+ * @param {Object} data - Gemini generateContent response (or stream chunk)
+ * @param {boolean} [thoughts] - Join the thought summary parts instead of the answer
+ * @returns {string} - Candidate text
+ */
+function extractCandidateText(data, thoughts = false) {
+  const candidates = (data && data.candidates) || [];
+  if (candidates.length === 0) return '';
+  return (candidates[0].content?.parts || []).filter(p => Boolean(p.thought) === thoughts).map(p => p.text || '').join('');
+}
+
+/**
+ * Extracts functionCall parts of the first Gemini candidate as OpenAI tool calls
+ * @param {Object} data - Gemini response body (or stream chunk)
+ * @returns {Array<Object>} - OpenAI tool calls
+ */
+function extractToolCalls(data) {
+  const parts = data?.candidates?.[0]?.content?.parts || [];
+  return parts
+    .filter(p => p.functionCall)
+    .map(p => ({
+      id: generateToolCallId(),
+      type: 'function',
+      function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) }
+    }));
+}
+
+/**
+ * Converts Gemini usageMetadata into an OpenAI usage object
+ * @param {Object} usageMetadata - Gemini usage metadata
+ * @returns {Object|null} - OpenAI usage or null
+ */
+function toOpenAIUsage(usageMetadata) {
+  if (!usageMetadata) return null;
+  const prompt = usageMetadata.promptTokenCount || 0;
+  const completion = usageMetadata.candidatesTokenCount || 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: usageMetadata.totalTokenCount || prompt + completion
+  };
+}
+
+/**
+ * Converts a Gemini generateContent response into an OpenAI chat.completion
+ * @param {string} model - Model name
+ * @param {Object} data - Gemini response body
+ * @returns {Object} - OpenAI chat.completion object
+ */
+function toOpenAIChatResponse(model, data) {
+  const toolCalls = extractToolCalls(data);
+  const message = { role: 'assistant', content: extractCandidateText(data) };
+  const reasoning = extractCandidateText(data, true);
+  if (reasoning) message.reasoning_content = reasoning;
+  let finishReason = mapFinishReason(data.candidates?.[0]?.finishReason) || 'stop';
+  if (toolCalls.length > 0) {
+    message.content = message.content || null;
+    message.tool_calls = toolCalls;
+    if (finishReason === 'stop') finishReason = 'tool_calls';
+  }
+  return {
+    id: `gemini-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, message, finish_reason: finishReason }],
+    usage: toOpenAIUsage(data.usageMetadata)
+  };
+}
+
+/**
+ * Creates a stream that turns Gemini streamGenerateContent SSE events into
+ * OpenAI chat.completion.chunk SSE events, ending with `data: [DONE]`
+ * @param {string} model - Model name
+ * @returns {Transform} - Transform stream
+ */
+function createGeminiStreamTransform(model) {
+  const id = `gemini-${Date.now()}`;
+  let sentRole = false;
+  let toolCallCount = 0;
+
+  const toChunk = data => {
+    const choice = { index: 0, delta: {}, finish_reason: mapFinishReason(data.candidates?.[0]?.finishReason) };
+    if (!sentRole) {
+      choice.delta.role = 'assistant';
+      sentRole = true;
+    }
+    choice.delta.content = extractCandidateText(data);
+    const reasoning = extractCandidateText(data, true);
+    if (reasoning) choice.delta.reasoning_content = reasoning;
+    // Gemini sends each functionCall whole, so every call is a complete delta
+    const toolCalls = extractToolCalls(data).map(call => ({ index: toolCallCount++, ...call }));
+    if (toolCalls.length > 0) choice.delta.tool_calls = toolCalls;
+    if (choice.finish_reason === 'stop' && toolCallCount > 0) choice.finish_reason = 'tool_calls';
+    const chunk = {
+      id,
+      object: 'chat.completion.chunk',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [choice]
+    };
+    const usage = toOpenAIUsage(data.usageMetadata);
+    if (usage && choice.finish_reason) chunk.usage = usage;
+    return `data: ${JSON.stringify(chunk)}\n\n`;
+  };
+
+  return createSSETransform(
+    (stream, data) => stream.push(toChunk(data)),
+    stream => stream.push('data: [DONE]\n\n')
+  );
+}
+
+module.exports = {
+  buildGeminiPayload,
+  inlineImageUrls,
+  buildGenerationConfig,
+  toGeminiSchema,
+  toGeminiTools,
+  toGeminiToolConfig,
+  mapFinishReason,
+  extractCandidateText,
+  extractToolCalls,
+  toOpenAIUsage,
+  toOpenAIChatResponse,
+  createGeminiStreamTransform
+};
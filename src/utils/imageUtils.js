@@ -0,0 +1,219 @@
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const sharp = require('sharp');
+const { VISION } = require('../config/config');
+const { createApiError } = require('./errorUtils');
+const { matchesAny } = require('./matchUtils');
+
+// Leading bytes (as base64 prefixes) identifying common image formats
+const BASE64_SIGNATURES = [
+  { prefix: 'iVBORw0KGgo', mime: 'image/png' },
+  { prefix: '/9j/', mime: 'image/jpeg' },
+  { prefix: 'R0lGOD', mime: 'image/gif' },
+  { prefix: 'UklGR', mime: 'image/webp' },
+  { prefix: 'Qk', mime: 'image/bmp' }
+];
+
+/**
+ * Identifies a base64-encoded image from its leading bytes
+ * @param {string} base64 - Base64 image data (no data URI prefix)
+ * @returns {string|null} - MIME type, or null when the format is not recognised
+ */
+function findImageMime(base64) {
+  const data = String(base64 || '').trimStart();
+  const match = BASE64_SIGNATURES.find(sig => data.startsWith(sig.prefix));
+  return match ? match.mime : null;
+}
+
+/**
+ * Detects the MIME type of a base64-encoded image from its leading bytes
+ * @param {string} base64 - Base64 image data (no data URI prefix)
+ * @returns {string} - MIME type, defaulting to image/jpeg
+ */
+function detectImageMime(base64) {
+  return findImageMime(base64) || 'image/jpeg';
+}
+
+/**
+ * Splits a data URI into MIME type and base64 payload
+ * @param {string} uri - Data URI, e.g. data:image/png;base64,...
+ * @returns {Object|null} - { mimeType, data } or null if not a base64 data URI
+ */
+function parseDataUri(uri) {
+  const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(String(uri || ''));
+  if (!match) return null;
+  return { mimeType: match[1] || detectImageMime(match[2]), data: match[2] };
+}
+
+/**
+ * Strips an optional data URI prefix from base64 image data
+ * @param {string} image - Raw base64 or data URI
+ * @returns {Object} - { mimeType, data }
+ */
+function normalizeBase64Image(image) {
+  const parsed = parseDataUri(image);
+  if (parsed) return parsed;
+  return { mimeType: detectImageMime(image), data: String(image || '') };
+}
+
+// Formats kept when an image is downscaled; others are re-encoded as PNG
+const RESIZABLE_FORMATS = { 'image/jpeg': 'jpeg', 'image/png': 'png', 'image/webp': 'webp' };
+
+/**
+ * Rejects an image larger than VISION_MAX_IMAGE_BYTES
+ * @param {number} bytes - Decoded image size in bytes
+ */
+function checkImageSize(bytes) {
+  if (bytes > VISION.maxImageBytes) {
+    throw createApiError(400, `Image of ${bytes} bytes exceeds the ${VISION.maxImageBytes}-byte limit`);
+  }
+}
+
+/**
+ * Prepares a base64 image for an upstream: enforces VISION_MAX_IMAGE_BYTES
+ * before decoding, so oversized input never reaches sharp, downscales it so
+ * neither side exceeds VISION_MAX_DIMENSION, then checks the size again
+ * @param {string} image - Raw base64 or data URI
+ * @returns {Promise<Object>} - { mimeType, data }
+ */
+async function prepareImage(image) {
+  let { mimeType, data } = normalizeBase64Image(image);
+  checkImageSize(Buffer.byteLength(data, 'base64'));
+  let buffer = Buffer.from(data, 'base64');
+  if (VISION.maxDimension > 0) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw createApiError(400, `Invalid image data: ${error.message}`);
+    }
+    if (metadata.width > VISION.maxDimension || metadata.height > VISION.maxDimension) {
+      const format = RESIZABLE_FORMATS[mimeType] || 'png';
+      buffer = await sharp(buffer)
+        .rotate()
+        .resize({ width: VISION.maxDimension, height: VISION.maxDimension, fit: 'inside' })
+        .toFormat(format)
+        .toBuffer();
+      mimeType = `image/${format}`;
+      data = buffer.toString('base64');
+    }
+  }
+  checkImageSize(buffer.length);
+  return { mimeType, data };
+}
+
+// Address ranges image downloads may not reach: unspecified, loopback,
+// private, carrier-grade NAT, link-local (cloud metadata), multicast and reserved
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Redirects followed when downloading an image
+const MAX_IMAGE_REDIRECTS = 3;
+
+/**
+ * Checks whether an IP address is one image downloads may not reach
+ * (IPv4-mapped IPv6 addresses are checked as IPv4)
+ * @param {string} address - IP address, or a hostname (never blocked here)
+ * @returns {boolean} - True for loopback, private, link-local and reserved addresses
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Checks that an image URL may be downloaded: http(s), a host matching
+ * VISION_IMAGE_URL_HOSTS and, for IP literals, a public address
+ * @param {string} protocol - URL protocol, e.g. 'https:'
+ * @param {string} hostname - URL hostname (IPv6 literals may keep their brackets)
+ * @returns {boolean} - True when the URL may be fetched
+ */
+function isAllowedImageHost(protocol, hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  if (protocol !== 'http:' && protocol !== 'https:') return false;
+  return matchesAny(VISION.imageUrlHosts, host) && !isBlockedAddress(host);
+}
+
+/**
+ * DNS lookup for image downloads that fails when a host resolves to a
+ * blocked address. It runs for every connection, redirects included, so a
+ * public name cannot lead to an internal address.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Downloads an http(s) image, at most VISION_MAX_IMAGE_BYTES of it, and
+ * detects its MIME type from the bytes rather than the server's headers.
+ * Only hosts allowed by VISION_IMAGE_URL_HOSTS that resolve to public
+ * addresses are contacted, on the first request and on every redirect.
+ * Errors name no upstream detail, so the proxy cannot be used to probe
+ * other hosts.
+ * @param {string} url - Image URL
+ * @param {AbortSignal} [signal] - Client signal, which cancels the download
+ * @returns {Promise<Object>} - { mimeType, data } with base64 data
+ */
+async function fetchImage(url, signal) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    // Rejected below
+  }
+  if (!parsed || !isAllowedImageHost(parsed.protocol, parsed.hostname)) {
+    throw createApiError(400, 'Image URLs from this host are not allowed', { code: 'invalid_image_url' });
+  }
+
+  let response;
+  try {
+    response = await axios.get(parsed.href, {
+      responseType: 'arraybuffer',
+      timeout: VISION.fetchTimeout,
+      maxContentLength: VISION.maxImageBytes,
+      maxRedirects: MAX_IMAGE_REDIRECTS,
+      proxy: false,
+      lookup: publicLookup,
+      signal,
+      beforeRedirect: options => {
+        if (!isAllowedImageHost(options.protocol, options.hostname)) {
+          throw new Error(`Redirect to ${options.hostname} is not allowed`);
+        }
+      }
+    });
+  } catch (error) {
+    const reason = error.response?.status ? `status ${error.response.status}` : (error.cause?.message || error.message);
+    console.log(`Image download from ${url} failed: ${reason}`);
+    throw createApiError(400, 'Could not fetch the image URL', { code: 'invalid_image_url' });
+  }
+  const data = Buffer.from(response.data).toString('base64');
+  const mimeType = findImageMime(data);
+  if (!mimeType) {
+    throw createApiError(400, 'The image URL did not return a PNG, JPEG, GIF, WebP or BMP image', { code: 'invalid_image_url' });
+  }
+  return { mimeType, data };
+}
+
+module.exports = {
+  detectImageMime,
+  parseDataUri,
+  normalizeBase64Image,
+  prepareImage,
+  fetchImage
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../config/config');
+
+const LOCAL_MODELS_FILE = path.join(DATA_DIR, 'local-models.json');
+
+// Longest alias chain followed when resolving a local model
+const MAX_ALIAS_DEPTH = 10;
+
+// models: local name -> { from, system, template, parameters, created_at }
+// hidden: catalog models removed with /api/delete
+let state = { models: {}, hidden: [] };
+
+try {
+  if (fs.existsSync(LOCAL_MODELS_FILE)) {
+    const raw = JSON.parse(fs.readFileSync(LOCAL_MODELS_FILE, 'utf8'));
+    state = { models: raw.models || {}, hidden: raw.hidden || [] };
+  }
+} catch (error) {
+  console.error(`Failed to load local models from ${LOCAL_MODELS_FILE}:`, error.message);
+}
+
+/**
+ * Writes local models to disk
+ */
+function saveLocalModels() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(LOCAL_MODELS_FILE, JSON.stringify(state, null, 2));
+  } catch (error) {
+    console.error(`Failed to save local models to ${LOCAL_MODELS_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Gets a local model entry
+ * @param {string} name - Model name
+ * @returns {Object|null} - Entry or null when the model is not local
+ */
+function getLocalModel(name) {
+  return Object.prototype.hasOwnProperty.call(state.models, name) ? state.models[name] : null;
+}
+
+/**
+ * Lists the names of local models (pulled, copied or created)
+ * @returns {Array<string>} - Model names
+ */
+function listLocalModels() {
+  return Object.keys(state.models);
+}
+
+/**
+ * Checks whether a catalog model was removed with /api/delete
+ * @param {string} name - Model name
+ * @returns {boolean} - True when hidden
+ */
+function isHidden(name) {
+  return state.hidden.includes(name);
+}
+
+/**
+ * Adds or replaces a local model and unhides its name
+ * @param {string} name - Model name
+ * @param {Object} entry - { from, system, template, parameters }
+ * @returns {Object} - Stored entry
+ */
+function saveLocalModel(name, entry) {
+  state.models[name] = { ...entry, created_at: new Date().toISOString() };
+  state.hidden = state.hidden.filter(hidden => hidden !== name);
+  saveLocalModels();
+  return state.models[name];
+}
+
+/**
+ * Deletes a local model, or hides a catalog model
+ * @param {string} name - Model name
+ * @param {boolean} inCatalog - Whether the name is also a catalog model
+ */
+function deleteLocalModel(name, inCatalog) {
+  delete state.models[name];
+  if (inCatalog && !state.hidden.includes(name)) state.hidden.push(name);
+  saveLocalModels();
+}
+
+/**
+ * Makes a catalog model removed with /api/delete visible again
+ * @param {string} name - Model name
+ */
+function unhideModel(name) {
+  if (!state.hidden.includes(name)) return;
+  state.hidden = state.hidden.filter(hidden => hidden !== name);
+  saveLocalModels();
+}
+
+/**
+ * Follows local aliases (copies and created models) down to the model they
+ * were made from, so routing sees the name the proxy knows how to map
+ * @param {string} name - Requested model name
+ * @returns {string} - Base model name (unchanged when not an alias)
+ */
+function resolveLocalModel(name) {
+  let current = name;
+  for (let depth = 0; current && depth < MAX_ALIAS_DEPTH; depth++) {
+    const entry = getLocalModel(current);
+    if (!entry || !entry.from || entry.from === current) break;
+    current = entry.from;
+  }
+  return current;
+}
+
+module.exports = {
+  LOCAL_MODELS_FILE,
+  getLocalModel,
+  listLocalModels,
+  isHidden,
+  saveLocalModel,
+  deleteLocalModel,
+  unhideModel,
+  resolveLocalModel
+};
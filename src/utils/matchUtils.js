@@ -0,0 +1,40 @@
+/**
+ * Converts a glob pattern (supporting `*` and `?`) into a RegExp
+ * @param {string} pattern - Glob pattern, e.g. `deepseek-r1:*`
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  const escaped = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Checks whether a name matches a glob pattern
+ * @param {string} pattern - Glob pattern or exact name
+ * @param {string} name - Name to test
+ * @returns {boolean} - True if the name matches
+ */
+function matchesPattern(pattern, name) {
+  if (!pattern || typeof name !== 'string') return false;
+  if (!/[*?]/.test(pattern)) return pattern.toLowerCase() === name.toLowerCase();
+  return globToRegExp(pattern).test(name);
+}
+
+/**
+ * Checks whether a name matches any of the given glob patterns
+ * @param {Array<string>} patterns - Glob patterns
+ * @param {string} name - Name to test
+ * @returns {boolean} - True if at least one pattern matches
+ */
+function matchesAny(patterns, name) {
+  return (patterns || []).some(p => matchesPattern(p, name));
+}
+
+module.exports = {
+  globToRegExp,
+  matchesPattern,
+  matchesAny
+};
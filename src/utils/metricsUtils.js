@@ -0,0 +1,96 @@
+// Rough characters-per-token ratio used when the upstream reports no usage
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimates the token count of a text
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const str = typeof text === 'string' ? text : JSON.stringify(text);
+  return Math.ceil(str.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimates the prompt token count of chat messages
+ * @param {Array} messages - Chat messages
+ * @returns {number} - Estimated token count
+ */
+function estimateMessagesTokens(messages) {
+  if (!Array.isArray(messages)) return estimateTokens(messages);
+  // Every message carries a few tokens of role/formatting overhead
+  return messages.reduce((sum, m) => {
+    const content = Array.isArray(m.content)
+      ? m.content.map(p => (typeof p === 'string' ? p : p.text || '')).join('')
+      : m.content;
+    return sum + 4 + estimateTokens(content);
+  }, 0);
+}
+
+/**
+ * Builds an OpenAI usage object, preferring upstream numbers and
+ * falling back to local estimates
+ * @param {Object|null} upstreamUsage - Usage reported by the upstream
+ * @param {number} promptEstimate - Estimated prompt tokens
+ * @param {string} completionText - Generated text (for estimating completion tokens)
+ * @returns {Object} - OpenAI usage object
+ */
+function buildUsage(upstreamUsage, promptEstimate, completionText) {
+  const promptTokens = upstreamUsage?.prompt_tokens ?? promptEstimate;
+  const completionTokens = upstreamUsage?.completion_tokens ?? estimateTokens(completionText);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: upstreamUsage?.total_tokens ?? promptTokens + completionTokens
+  };
+}
+
+/**
+ * Creates a wall-clock timer for a proxied request. toOllamaMetrics(usage)
+ * returns Ollama's count and duration fields, in nanoseconds as Ollama does.
+ * @returns {Object} - Timer with markFirstToken() and toOllamaMetrics()
+ */
+function createRequestTimer() {
+  const start = process.hrtime.bigint();
+  let firstToken = null;
+
+  return {
+    markFirstToken() {
+      if (firstToken === null) firstToken = process.hrtime.bigint();
+    },
+    toOllamaMetrics(usage) {
+      const end = process.hrtime.bigint();
+      const total = Number(end - start);
+      // Without a first token (non-streamed), all time counts as generation
+      const promptEval = firstToken === null ? 0 : Number(firstToken - start);
+      return {
+        total_duration: total,
+        load_duration: 0,
+        prompt_eval_count: usage.prompt_tokens,
+        prompt_eval_duration: promptEval,
+        eval_count: usage.completion_tokens,
+        eval_duration: total - promptEval
+      };
+    }
+  };
+}
+
+/**
+ * Stores a request's token usage on the response so middleware (rate limits,
+ * budgets) can charge it once the response finishes
+ * @param {Object} res - Express response object
+ * @param {Object} usage - OpenAI usage object
+ */
+function recordUsage(res, usage) {
+  if (usage) res.locals.usage = usage;
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  estimateTokens,
+  estimateMessagesTokens,
+  buildUsage,
+  recordUsage,
+  createRequestTimer
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, MODEL_DISCOVERY } = require('../config/config');
+const { PROVIDERS } = require('../config/providers');
+const { setDiscoveredModels, getCatalog } = require('../config/catalog');
+const { listUpstreamModels } = require('./apiUtils');
+const { matchesAny } = require('./matchUtils');
+
+const DISCOVERED_MODELS_FILE = path.join(DATA_DIR, 'discovered-models.json');
+
+// Last successful result per provider: name -> { synced_at, models }
+let discovered = {};
+let syncTimer = null;
+let syncing = null;
+
+try {
+  if (fs.existsSync(DISCOVERED_MODELS_FILE)) {
+    discovered = JSON.parse(fs.readFileSync(DISCOVERED_MODELS_FILE, 'utf8')).providers || {};
+  }
+} catch (error) {
+  console.error(`Failed to load discovered models from ${DISCOVERED_MODELS_FILE}:`, error.message);
+}
+
+/**
+ * Writes the discovered models to disk so they are listed again after a
+ * restart, before the first sync completes
+ */
+function saveDiscoveredModels() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(DISCOVERED_MODELS_FILE, JSON.stringify({ providers: discovered }, null, 2));
+  } catch (error) {
+    console.error(`Failed to save discovered models to ${DISCOVERED_MODELS_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Checks a discovered model against the provider's model globs and the
+ * MODEL_DISCOVERY_INCLUDE/EXCLUDE patterns
+ * @param {Object} provider - Provider the model was found on
+ * @param {string} name - Model name
+ * @returns {boolean} - True when the model should be exposed
+ */
+function isExposed(provider, name) {
+  if (provider.models.length > 0 && !matchesAny(provider.models, name)) return false;
+  if (MODEL_DISCOVERY.include.length > 0 && !matchesAny(MODEL_DISCOVERY.include, name)) return false;
+  return !matchesAny(MODEL_DISCOVERY.exclude, name);
+}
+
+/**
+ * Publishes the discovered models of every provider to the catalog, in
+ * provider order
+ */
+function applyDiscoveredModels() {
+  const entries = PROVIDERS
+    .filter(provider => discovered[provider.name])
+    .flatMap(provider => discovered[provider.name].models.filter(entry => isExposed(provider, entry.name)));
+  setDiscoveredModels(entries);
+}
+
+/**
+ * Fetches the model list of every provider and merges it into the catalog.
+ * A provider that fails keeps the models found by its last successful sync.
+ * Concurrent calls share one run.
+ * @returns {Promise<Object>} - Summary: { models, added, removed, providers }
+ */
+function syncModels() {
+  if (syncing) return syncing;
+  syncing = (async () => {
+    const before = new Set(getCatalog().map(entry => entry.name));
+    const providers = [];
+
+    for (const provider of PROVIDERS) {
+      try {
+        const models = await listUpstreamModels(provider);
+        discovered[provider.name] = { synced_at: new Date().toISOString(), models };
+        providers.push({ name: provider.name, models: models.filter(entry => isExposed(provider, entry.name)).length });
+      } catch (error) {
+        const reason = error.response?.status ? `status ${error.response.status}` : error.message;
+        console.error(`Model discovery failed for provider ${provider.name}: ${reason}`);
+        providers.push({ name: provider.name, error: reason });
+      }
+    }
+
+    applyDiscoveredModels();
+    saveDiscoveredModels();
+
+    const after = getCatalog().map(entry => entry.name);
+    const added = after.filter(name => !before.has(name));
+    const removed = [...before].filter(name => !after.includes(name));
+    console.log(`Model discovery: ${after.length} models (${added.length} added, ${removed.length} removed)`);
+    return { models: after.length, added, removed, providers };
+  })();
+  syncing.finally(() => { syncing = null; }).catch(() => {});
+  return syncing;
+}
+
+/**
+ * Starts discovery when MODEL_DISCOVERY is enabled: syncs now, then every
+ * MODEL_DISCOVERY_INTERVAL minutes
+ */
+function startModelDiscovery() {
+  if (!MODEL_DISCOVERY.enabled || syncTimer) return;
+  syncModels();
+  if (MODEL_DISCOVERY.intervalMinutes > 0) {
+    syncTimer = setInterval(syncModels, MODEL_DISCOVERY.intervalMinutes * 60 * 1000);
+    syncTimer.unref();
+  }
+}
+
+// Models found by earlier runs are listed straight away
+if (MODEL_DISCOVERY.enabled) applyDiscoveredModels();
+
+module.exports = {
+  DISCOVERED_MODELS_FILE,
+  syncModels,
+  startModelDiscovery
+};
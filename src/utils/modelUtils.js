@@ -1,4 +1,41 @@
-const { SUPPORTED_MODELS } = require('../config/config');
+const { describeModel, computeDigest, getCatalog } = require('../config/catalog');
+const { toOllamaToolCalls } = require('./toolUtils');
+const { toDoneReason } = require('./ollamaUtils');
+const { separateReasoning } = require('./reasoningUtils');
+const { estimateMessagesTokens, buildUsage } = require('./metricsUtils');
+const { getLocalModel, listLocalModels, isHidden, resolveLocalModel } = require('./localModelStore');
+
+// Template reported by /api/show; the upstream applies its own chat template
+const DEFAULT_TEMPLATE = '{{ .Prompt }}';
+
+// How long a model stays in /api/ps after its last request, as in Ollama
+const DEFAULT_KEEP_ALIVE_MS = 5 * 60 * 1000;
+
+// Recently used models for /api/ps: name -> expiry time in ms
+const activeModels = new Map();
+
+/**
+ * Describes a visible model from the catalog. Local models inherit the
+ * metadata of the model they were made from; a created model with its own
+ * system prompt, template or parameters gets its own digest, a copy keeps
+ * the digest of its source.
+ * @param {string} name - Model name
+ * @returns {Object} - Normalized catalog entry
+ */
+function describeAvailableModel(name) {
+  const base = describeModel(resolveLocalModel(name));
+  const local = getLocalModel(name);
+  if (!local) return base;
+
+  const { from: _, created_at: createdAt, ...overrides } = local;
+  const customized = Boolean(overrides.system || overrides.template || Object.keys(overrides.parameters || {}).length > 0);
+  return {
+    ...base,
+    name,
+    modified_at: createdAt || base.modified_at,
+    digest: customized ? computeDigest({ ...base, name, ...overrides }) : base.digest
+  };
+}
 
 /**
  * Creates a formatted model object for the Ollama API /api/tags response
@@ -6,35 +43,195 @@ const { SUPPORTED_MODELS } = require('../config/config');
  * @returns {Object} - Formatted model object
  */
 function createModelObject(name) {
-  const currentDate = new Date();
-  // Add 1 year to the current date for the modified_at field
-  const modifiedDate = new Date(currentDate);
-  modifiedDate.setFullYear(currentDate.getFullYear() + 1);
-  
-  // Generate a random SHA256-like digest
-  const digest = [...Array(64)].map(() => Math.floor(Math.random() * 16).toString(16)).join('');
-  
-  // Extract model family and size from name
-  const parts = name.split(':');
-  const family = parts[0];
-  let parameterSize = parts[1] || '';
-  parameterSize = parameterSize.includes('b') ? parameterSize.toUpperCase() : parameterSize;
-  
+  const entry = describeAvailableModel(name);
   return {
     name,
     model: name,
-    modified_at: modifiedDate.toISOString(),
-    size: Math.floor(Math.random() * 500000000) + 100000000, // Random size between 100MB and 600MB
-    digest,
+    modified_at: entry.modified_at,
+    size: entry.size,
+    digest: entry.digest,
     details: {
       parent_model: "",
       format: "gguf",
-      family,
-      families: [family],
-      parameter_size: parameterSize,
-      quantization_level: Math.random() > 0.5 ? "Q4_K_M" : "F16"
+      family: entry.family,
+      // Ollama lists the "clip" projector family for vision models
+      families: entry.capabilities.includes('vision') ? [entry.family, 'clip'] : [entry.family],
+      parameter_size: entry.parameter_size,
+      quantization_level: entry.quantization_level
+    },
+    // Ollama calls the chat capability "completion"
+    capabilities: entry.capabilities.map(capability => (capability === 'chat' ? 'completion' : capability))
+  };
+}
+
+/**
+ * Gets the names of all visible models: the catalog (configured and
+ * discovered) plus local (pulled, copied or created) models, minus models
+ * removed with /api/delete
+ * @returns {Array<string>} - Model names
+ */
+function getAvailableModels() {
+  const names = [...getCatalog().map(entry => entry.name), ...listLocalModels()];
+  return [...new Set(names)].filter(name => !isHidden(name));
+}
+
+/**
+ * Checks whether a model exists: it is in the catalog (configured or
+ * discovered) or is a local model, and has not been deleted. Routing
+ * (MODEL_MAP, DEFAULT_MODEL, MODEL_FALLBACK_TARGET) serves any name, so it
+ * does not count.
+ * @param {string} name - Model name
+ * @returns {boolean} - True when known
+ */
+function isKnownModel(name) {
+  if (!name || isHidden(name)) return false;
+  return getAvailableModels().includes(name);
+}
+
+/**
+ * Lists model parameters as [name, value] pairs, one per value
+ * @param {Object} parameters - Parameter name -> value (or array of values)
+ * @returns {Array<Array>} - Pairs
+ */
+function parameterPairs(parameters) {
+  return Object.entries(parameters || {})
+    .flatMap(([key, value]) => (Array.isArray(value) ? value : [value]).map(v => [key, v]));
+}
+
+/**
+ * Builds the Modelfile text for a model
+ * @param {string} name - Model name
+ * @param {Object} info - { from, template, system, parameters }
+ * @returns {string} - Modelfile
+ */
+function buildModelfile(name, info) {
+  const lines = [
+    '# Modelfile generated by "ollama show"',
+    '# To build a new Modelfile based on this, replace FROM with:',
+    `# FROM ${name}`,
+    '',
+    `FROM ${info.from}`,
+    `TEMPLATE """${info.template}"""`
+  ];
+  if (info.system) lines.push(`SYSTEM """${info.system}"""`);
+  parameterPairs(info.parameters).forEach(([key, value]) => lines.push(`PARAMETER ${key} ${value}`));
+  return lines.join('\n');
+}
+
+/**
+ * Parses the FROM, SYSTEM, TEMPLATE and PARAMETER instructions of a Modelfile
+ * (the legacy /api/create body). Other instructions are ignored.
+ * @param {string} modelfile - Modelfile text
+ * @returns {Object} - { from, system, template, parameters }
+ */
+function parseModelfile(modelfile) {
+  const result = { parameters: {} };
+  const pattern = /^\s*(FROM|SYSTEM|TEMPLATE|PARAMETER)\s+("""([\s\S]*?)"""|.*)$/gim;
+  let match;
+  while ((match = pattern.exec(modelfile || '')) !== null) {
+    const instruction = match[1].toUpperCase();
+    const value = match[3] !== undefined ? match[3] : match[2].trim();
+    if (instruction === 'PARAMETER') {
+      const [key, ...rest] = value.split(/\s+/);
+      const raw = rest.join(' ').replace(/^"(.*)"$/, '$1');
+      const parsed = raw !== '' && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+      const existing = result.parameters[key];
+      // Repeated parameters (e.g. stop) collect into an array
+      result.parameters[key] = existing === undefined ? parsed : [].concat(existing, parsed);
+    } else {
+      result[instruction.toLowerCase()] = value;
     }
+  }
+  return result;
+}
+
+/**
+ * Gets the model information returned by the Ollama API /api/show endpoint
+ * @param {string} name - Model name
+ * @returns {Object} - Modelfile, template, parameters, details and capabilities
+ */
+function getModelInfo(name) {
+  const local = getLocalModel(name) || {};
+  const entry = describeAvailableModel(name);
+  const model = createModelObject(name);
+  const template = local.template || DEFAULT_TEMPLATE;
+  const info = {
+    modelfile: buildModelfile(name, { from: local.from || name, template, system: local.system, parameters: local.parameters }),
+    parameters: parameterPairs(local.parameters)
+      .map(([key, value]) => `${key.padEnd(30)} ${typeof value === 'string' ? JSON.stringify(value) : value}`)
+      .join('\n'),
+    template,
+    details: { ...model.details, parent_model: local.from || '' },
+    model_info: {
+      'general.architecture': entry.family,
+      'general.basename': entry.family,
+      [`${entry.family}.context_length`]: entry.context_length,
+      ...(entry.embedding_length ? { [`${entry.family}.embedding_length`]: entry.embedding_length } : {})
+    },
+    capabilities: model.capabilities,
+    modified_at: entry.modified_at
   };
+  if (local.system) info.system = local.system;
+  return info;
+}
+
+/**
+ * Parses an Ollama keep_alive value: seconds, or a duration like "10m" or "1h30m".
+ * Negative values keep the model loaded indefinitely.
+ * @param {number|string} value - keep_alive value
+ * @returns {number} - Duration in ms (Infinity when indefinite)
+ */
+function parseKeepAlive(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_KEEP_ALIVE_MS;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds < 0 ? Infinity : seconds * 1000;
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  const parts = [...String(value).matchAll(/(-?\d+(?:\.\d+)?)(ms|s|m|h)/g)];
+  if (parts.length === 0) return DEFAULT_KEEP_ALIVE_MS;
+  const total = parts.reduce((sum, [, amount, unit]) => sum + Number(amount) * units[unit], 0);
+  return total < 0 ? Infinity : total;
+}
+
+/**
+ * Records that a model served a request, for /api/ps
+ * @param {string} name - Client-facing model name
+ * @param {number|string} [keepAlive] - Ollama keep_alive value (0 unloads)
+ */
+function markModelActive(name, keepAlive) {
+  if (!name) return;
+  const duration = parseKeepAlive(keepAlive);
+  if (duration === 0) {
+    activeModels.delete(name);
+    return;
+  }
+  activeModels.set(name, Date.now() + duration);
+}
+
+/**
+ * Gets recently active models formatted for the Ollama API /api/ps endpoint
+ * @returns {Object} - Object with models array
+ */
+function getRunningModels() {
+  const now = Date.now();
+  const models = [];
+  activeModels.forEach((expiresAt, name) => {
+    if (expiresAt <= now) {
+      activeModels.delete(name);
+      return;
+    }
+    const model = createModelObject(name);
+    models.push({
+      name,
+      model: name,
+      size: model.size,
+      digest: model.digest,
+      details: model.details,
+      // An indefinite keep_alive is reported as a far-future expiry
+      expires_at: new Date(Math.min(expiresAt, Date.UTC(9999, 0, 1))).toISOString(),
+      size_vram: model.size
+    });
+  });
+  return { models };
 }
 
 /**
@@ -43,7 +240,7 @@ function createModelObject(name) {
  */
 function getModelList() {
   return {
-    models: SUPPORTED_MODELS.map(model => createModelObject(model))
+    models: getAvailableModels().map(model => createModelObject(model))
   };
 }
 
@@ -52,23 +249,47 @@ function getModelList() {
  * @param {string} model - Model name
  * @param {Array} messages - Chat messages
  * @param {Object} vikeyResponse - Response from vikey.ai
+ * @param {Object} timer - Request timer from createRequestTimer()
+ * @param {boolean|string} [think] - Request `think`; reasoning is returned as message.thinking when set
  * @returns {Object} - Ollama API formatted response
  */
-function transformChatResponse(model, messages, vikeyResponse) {
+function transformChatResponse(model, messages, vikeyResponse, timer, think) {
+  const choice = vikeyResponse.choices[0];
+  const upstreamMessage = choice.message;
+  const separated = separateReasoning(upstreamMessage, think ? 'thinking' : null);
+  const message = {
+    role: 'assistant',
+    content: separated.content || ''
+  };
+  if (separated.thinking) message.thinking = separated.thinking;
+  if (Array.isArray(upstreamMessage.tool_calls) && upstreamMessage.tool_calls.length > 0) {
+    message.tool_calls = toOllamaToolCalls(upstreamMessage.tool_calls);
+  }
+
+  const usage = buildUsage(vikeyResponse.usage, estimateMessagesTokens(messages), message.content + (message.thinking || ''));
+
   return {
     model,
     created_at: new Date().toISOString(),
-    message: {
-      role: 'assistant',
-      content: vikeyResponse.choices[0].message.content
-    },
+    message,
     done: true,
-    total_duration: Math.floor(Math.random() * 5000000000),
-    load_duration: Math.floor(Math.random() * 2000000),
-    prompt_eval_count: messages.length,
-    prompt_eval_duration: Math.floor(Math.random() * 400000000),
-    eval_count: Math.floor(Math.random() * 300) + 100,
-    eval_duration: Math.floor(Math.random() * 5000000000)
+    done_reason: toDoneReason(choice.finish_reason),
+    ...timer.toOllamaMetrics(usage)
+  };
+}
+
+/**
+ * Creates a model object for the OpenAI API /v1/models endpoints
+ * @param {string} id - Model name
+ * @returns {Object} - OpenAI model object
+ */
+function createOpenAIModelObject(id) {
+  const entry = describeAvailableModel(id);
+  return {
+    id,
+    object: 'model',
+    created: Math.floor(Date.parse(entry.modified_at) / 1000),
+    owned_by: entry.owned_by
   };
 }
 
@@ -77,12 +298,7 @@ function transformChatResponse(model, messages, vikeyResponse) {
  * @returns {Object} - Object with data array and object type
  */
 function getOpenAIModelList() {
-  const models = SUPPORTED_MODELS.map(id => ({
-    id,
-    object: 'model',
-    created: Math.floor(Date.now() / 1000),
-    owned_by: 'library'
-  }));
+  const models = getAvailableModels().map(createOpenAIModelObject);
   
   return { data: models, object: 'list' };
 }
@@ -93,19 +309,17 @@ function getOpenAIModelList() {
  * @returns {Object|null} - Model info or null if not found
  */
 function getOpenAIModel(model) {
-  if (SUPPORTED_MODELS.includes(model)) {
-    return {
-      id: model,
-      object: 'model',
-      created: Math.floor(Date.now() / 1000),
-      owned_by: 'library'
-    };
-  }
-  return null;
+  return getAvailableModels().includes(model) ? createOpenAIModelObject(model) : null;
 }
 
 module.exports = {
   createModelObject,
+  getAvailableModels,
+  isKnownModel,
+  getModelInfo,
+  parseModelfile,
+  markModelActive,
+  getRunningModels,
   getModelList,
   transformChatResponse,
   getOpenAIModelList,
@@ -0,0 +1,150 @@
+const { prepareImage } = require('./imageUtils');
+
+// Ollama `options` with an OpenAI-style equivalent; the rest (num_ctx,
+// num_gpu, mirostat, ...) only concern a local runtime and are dropped
+const OPTION_MAP = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  top_k: 'top_k',
+  num_predict: 'max_tokens',
+  stop: 'stop',
+  seed: 'seed',
+  presence_penalty: 'presence_penalty',
+  frequency_penalty: 'frequency_penalty'
+};
+
+/**
+ * Converts an Ollama `format` into an OpenAI response_format. Schemas are
+ * sent non-strict: OpenAI's strict mode requires `additionalProperties: false`
+ * and every property in `required`, which Ollama schemas rarely declare.
+ * @param {string|Object} format - 'json' or a JSON schema
+ * @returns {Object|undefined} - response_format, or undefined when unset
+ */
+function toResponseFormat(format) {
+  if (format === 'json') return { type: 'json_object' };
+  if (format && typeof format === 'object') {
+    return { type: 'json_schema', json_schema: { name: 'response', schema: format, strict: false } };
+  }
+  return undefined;
+}
+
+/**
+ * Translates the fields of an Ollama /api/chat or /api/generate request into
+ * OpenAI-style parameters. A think level ('low', 'medium', 'high') becomes
+ * reasoning_effort; Ollama-only fields (keep_alive, boolean think, options
+ * without an equivalent) are left out.
+ * @param {Object} body - Request body
+ * @returns {Object} - OpenAI-style parameters
+ */
+function toOpenAIParams(body) {
+  const params = {};
+  Object.entries(body.options || {}).forEach(([key, value]) => {
+    const target = OPTION_MAP[key];
+    if (!target || value === undefined || value === null) return;
+    // num_predict -1 (infinite) and -2 (fill context) leave the upstream default
+    if (key === 'num_predict' && value < 0) return;
+    params[target] = value;
+  });
+  const responseFormat = toResponseFormat(body.format);
+  if (responseFormat) params.response_format = responseFormat;
+  if (Array.isArray(body.tools) && body.tools.length > 0) params.tools = body.tools;
+  if (typeof body.think === 'string') params.reasoning_effort = body.think;
+  return params;
+}
+
+/**
+ * Applies the system prompt, template and parameters of a local model
+ * (made with /api/create, or copied from one) to an Ollama request; what the
+ * request sets itself wins. Templates apply to /api/generate only: chat
+ * upstreams format the conversation themselves.
+ * @param {Object} body - /api/chat or /api/generate request body
+ * @param {Object|null} local - Local model entry ({ system, template, parameters })
+ * @returns {Object} - Request body with the model's defaults
+ */
+function withLocalModelDefaults(body, local) {
+  if (!local) return body;
+  const merged = { ...body, options: { ...local.parameters, ...body.options } };
+  if (Array.isArray(body.messages)) {
+    if (local.system && !body.messages.some(message => message.role === 'system')) {
+      merged.messages = [{ role: 'system', content: local.system }, ...body.messages];
+    }
+    return merged;
+  }
+  if (local.system && !body.system) merged.system = local.system;
+  if (local.template && !body.template) merged.template = local.template;
+  return merged;
+}
+
+/**
+ * Renders the subset of Go template syntax used by Ollama prompt templates:
+ * `{{ .Name }}` and non-nested `{{ if .Name }}...{{ end }}` blocks
+ * @param {string} template - Template text
+ * @param {Object} values - Values by name (System, Prompt, Response)
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(template, values) {
+  return template
+    .replace(/\{\{-?\s*if\s+\.(\w+)\s*-?\}\}([\s\S]*?)\{\{-?\s*end\s*-?\}\}/g, (_, name, inner) => (values[name] ? inner : ''))
+    .replace(/\{\{-?\s*\.(\w+)\s*-?\}\}/g, (_, name) => values[name] || '');
+}
+
+/**
+ * Builds the chat messages for an /api/generate request. `raw` sends the
+ * prompt as is, `template` renders it with the system prompt into a single
+ * message, and otherwise `system` becomes a system message. Top-level
+ * `images` go with the prompt.
+ * @param {Object} body - Request body
+ * @returns {Array} - Chat messages (Ollama images not yet converted)
+ */
+function toGenerateMessages(body) {
+  const prompt = body.prompt || '';
+  const images = Array.isArray(body.images) && body.images.length > 0 ? { images: body.images } : {};
+  if (body.raw) return [{ role: 'user', content: prompt, ...images }];
+  if (body.template) {
+    return [{ role: 'user', content: renderTemplate(body.template, { System: body.system, Prompt: prompt, Response: '' }), ...images }];
+  }
+  return [
+    ...(body.system ? [{ role: 'system', content: body.system }] : []),
+    { role: 'user', content: prompt, ...images }
+  ];
+}
+
+/**
+ * Moves the base64 `images` of Ollama messages into OpenAI multimodal
+ * content (image_url parts with data URIs), downscaled and size-checked
+ * @param {Array} messages - Chat messages
+ * @returns {Promise<Array>} - Messages without `images`
+ */
+async function toVisionMessages(messages) {
+  if (!Array.isArray(messages)) return messages;
+  return await Promise.all(messages.map(async message => {
+    if (!Array.isArray(message.images) || message.images.length === 0) return message;
+    const { images, ...rest } = message;
+    const prepared = await Promise.all(images.map(prepareImage));
+    const text = typeof rest.content === 'string' ? rest.content : '';
+    return {
+      ...rest,
+      content: [
+        ...(Array.isArray(rest.content) ? rest.content : (text ? [{ type: 'text', text }] : [])),
+        ...prepared.map(({ mimeType, data }) => ({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } }))
+      ]
+    };
+  }));
+}
+
+/**
+ * Maps an OpenAI finish reason onto Ollama's done_reason
+ * @param {string} finishReason - OpenAI finish reason
+ * @returns {string} - 'length' or 'stop'
+ */
+function toDoneReason(finishReason) {
+  return finishReason === 'length' ? 'length' : 'stop';
+}
+
+module.exports = {
+  withLocalModelDefaults,
+  toOpenAIParams,
+  toGenerateMessages,
+  toVisionMessages,
+  toDoneReason
+};
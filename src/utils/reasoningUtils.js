@@ -0,0 +1,120 @@
+const { REASONING_OUTPUT } = require('../config/config');
+
+// Tags DeepSeek-R1 style models wrap their reasoning in
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+
+/**
+ * Gets the reasoning an upstream reports outside the content
+ * (`reasoning_content`, or OpenRouter's `reasoning`)
+ * @param {Object} source - Chat message or stream delta
+ * @returns {string} - Reasoning text
+ */
+function getUpstreamReasoning(source) {
+  const reasoning = source?.reasoning_content ?? source?.reasoning;
+  return typeof reasoning === 'string' ? reasoning : '';
+}
+
+/**
+ * Length of the longest suffix of text that starts a tag, so a tag split
+ * across stream chunks is held back until it is complete
+ * @param {string} text - Text
+ * @param {string} tag - Tag
+ * @returns {number} - Characters to hold back
+ */
+function partialTagLength(text, tag) {
+  for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+    if (text.endsWith(tag.slice(0, length))) return length;
+  }
+  return 0;
+}
+
+/**
+ * Creates a parser that separates reasoning from answer text, both reported
+ * by the upstream and inline in `<think>...</think>` blocks. Feed it stream
+ * deltas (or one whole message) in order.
+ * @returns {Object} - Parser with push(delta) and flush(), each returning { content, reasoning }
+ */
+function createReasoningParser() {
+  let inThink = false;
+  let pending = '';
+  // Whitespace after a closing tag is dropped until the answer starts
+  let trimStart = false;
+
+  const split = (text, final) => {
+    const out = { content: '', reasoning: '' };
+    let rest = pending + text;
+    pending = '';
+    while (rest) {
+      const tag = inThink ? CLOSE_TAG : OPEN_TAG;
+      const at = rest.indexOf(tag);
+      const end = at >= 0 ? at : rest.length - (final ? 0 : partialTagLength(rest, tag));
+      let piece = rest.slice(0, end);
+      if (!inThink && trimStart) {
+        piece = piece.replace(/^\s+/, '');
+        if (piece) trimStart = false;
+      }
+      out[inThink ? 'reasoning' : 'content'] += piece;
+      if (at < 0) {
+        pending = rest.slice(end);
+        break;
+      }
+      rest = rest.slice(at + tag.length);
+      inThink = !inThink;
+      if (!inThink) trimStart = true;
+    }
+    return out;
+  };
+
+  return {
+    push(delta = {}) {
+      const parsed = split(typeof delta.content === 'string' ? delta.content : '', false);
+      return { content: parsed.content, reasoning: getUpstreamReasoning(delta) + parsed.reasoning };
+    },
+    flush() {
+      return split('', true);
+    }
+  };
+}
+
+/**
+ * Separates the reasoning of a complete chat message from its answer
+ * @param {Object} message - OpenAI assistant message
+ * @returns {Object} - { content, reasoning }
+ */
+function splitReasoning(message = {}) {
+  const parser = createReasoningParser();
+  const head = parser.push(message);
+  const tail = parser.flush();
+  return { content: head.content + tail.content, reasoning: head.reasoning + tail.reasoning };
+}
+
+/**
+ * Checks whether reasoning is returned to clients at all (REASONING_OUTPUT
+ * 'separate'); with 'strip' it is dropped everywhere
+ * @returns {boolean} - True when reasoning is returned
+ */
+function isReasoningReturned() {
+  return REASONING_OUTPUT === 'separate';
+}
+
+/**
+ * Moves the reasoning of a complete assistant message out of its content
+ * @param {Object} message - OpenAI assistant message
+ * @param {string|null} field - Field receiving the reasoning ('reasoning_content' or 'thinking'), or null to drop it
+ * @returns {Object} - Message without inline reasoning
+ */
+function separateReasoning(message, field) {
+  const { reasoning_content: _, reasoning: __, ...rest } = message;
+  const { content, reasoning } = splitReasoning(message);
+  const separated = { ...rest, content: message.content === null && !content ? null : content };
+  if (field && reasoning && isReasoningReturned()) separated[field] = reasoning;
+  return separated;
+}
+
+module.exports = {
+  getUpstreamReasoning,
+  createReasoningParser,
+  separateReasoning,
+  isReasoningReturned
+};
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { DATA_DIR, CACHE_POLICY } = require('../config/config');
+const { createToolCallAccumulator } = require('./toolUtils');
+const { createSSEParser } = require('./streamUtils');
+
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+
+// Interval between sweeps of expired disk entries
+const DISK_SWEEP_MS = 10 * 60 * 1000;
+
+// Request fields that do not change the answer
+const IGNORED_PARAMS = ['stream', 'stream_options', 'keep_alive', 'user'];
+
+/**
+ * Creates an in-memory LRU backend. Values are stored serialized so callers
+ * never share (and mutate) a cached object.
+ * @param {number} maxEntries - Entries kept before the least recently used is evicted
+ * @returns {Object} - Backend with get(key) and set(key, value, ttlMs)
+ */
+function createMemoryBackend(maxEntries) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return JSON.parse(entry.value);
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    }
+  };
+}
+
+/**
+ * Creates an on-disk backend storing one JSON file per entry in DATA_DIR/cache.
+ * Expired entries are removed when read and by a periodic sweep, which also
+ * drops the oldest files beyond maxEntries.
+ * @param {number} maxEntries - Files kept after a sweep
+ * @returns {Object} - Backend with get(key) and set(key, value, ttlMs)
+ */
+function createDiskBackend(maxEntries) {
+  const fileFor = key => path.join(CACHE_DIR, `${key}.json`);
+
+  const sweep = async () => {
+    try {
+      const now = Date.now();
+      const files = [];
+      for (const name of await fs.promises.readdir(CACHE_DIR)) {
+        const file = path.join(CACHE_DIR, name);
+        const { expiresAt } = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        if (expiresAt <= now) await fs.promises.unlink(file);
+        else files.push({ file, mtime: (await fs.promises.stat(file)).mtimeMs });
+      }
+      files.sort((a, b) => a.mtime - b.mtime).slice(0, Math.max(0, files.length - maxEntries))
+        .forEach(({ file }) => fs.promises.unlink(file).catch(() => {}));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Cache sweep failed:', error.message);
+    }
+  };
+  setInterval(sweep, DISK_SWEEP_MS).unref();
+
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        return null;
+      }
+      if (entry.expiresAt > Date.now()) return entry.value;
+      await fs.promises.unlink(fileFor(key)).catch(() => {});
+      return null;
+    },
+    async set(key, value, ttlMs) {
+      await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), JSON.stringify({ expiresAt: Date.now() + ttlMs, value }));
+    }
+  };
+}
+
+// Available backends, selected by CACHE_BACKEND
+const CACHE_BACKENDS = {
+  memory: createMemoryBackend,
+  disk: createDiskBackend
+};
+
+const backend = CACHE_BACKENDS[CACHE_POLICY.backend]
+  ? CACHE_BACKENDS[CACHE_POLICY.backend](CACHE_POLICY.maxEntries)
+  : null;
+if (!backend && CACHE_POLICY.backend !== 'none') {
+  console.error(`Unknown CACHE_BACKEND "${CACHE_POLICY.backend}", caching disabled`);
+}
+
+/**
+ * Serializes a value with object keys sorted, so equal requests give equal keys
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Builds the cache key of a request from its kind, upstream model, input and
+ * sampling parameters
+ * @param {Object} request - { kind, model, input, params }
+ * @returns {string} - SHA-256 hex key
+ */
+function buildCacheKey({ kind, model, input, params }) {
+  const relevant = Object.fromEntries(Object.entries(params || {}).filter(([key]) => !IGNORED_PARAMS.includes(key)));
+  return crypto.createHash('sha256').update(stableStringify({ kind, model, input, params: relevant })).digest('hex');
+}
+
+/**
+ * Checks whether a request always produces the same answer: embeddings do,
+ * generations only at temperature 0 (top-level or Ollama options)
+ * @param {string} kind - 'chat', 'completions' or 'embeddings'
+ * @param {Object} params - Request parameters
+ * @returns {boolean} - True when cacheable
+ */
+function isDeterministic(kind, params = {}) {
+  if (kind === 'embeddings') return true;
+  const temperature = params.temperature ?? params.options?.temperature;
+  return temperature === 0;
+}
+
+/**
+ * Assembles an OpenAI SSE stream into a chat.completion object as it passes
+ * through, without consuming it
+ * @param {Object} stream - Upstream response stream
+ * @returns {Promise<Object|null>} - Completion, or null if the stream failed or did not finish
+ */
+function collectCompletion(stream) {
+  return new Promise(resolve => {
+    let content = '';
+    let reasoning = '';
+    let finishReason = null;
+    let usage = null;
+    let id = null;
+    let model = null;
+    const toolCalls = createToolCallAccumulator();
+
+    const decoder = new StringDecoder('utf8');
+    const parser = createSSEParser(({ data }) => {
+      if (data === '[DONE]') return;
+      try {
+        const parsed = JSON.parse(data);
+        id = id || parsed.id;
+        model = model || parsed.model;
+        if (parsed.usage) usage = parsed.usage;
+        const choice = parsed.choices?.[0];
+        if (!choice) return;
+        content += choice.delta?.content || choice.text || '';
+        reasoning += choice.delta?.reasoning_content || choice.delta?.reasoning || choice.reasoning_content || '';
+        toolCalls.add(choice.delta?.tool_calls);
+        if (choice.finish_reason) finishReason = choice.finish_reason;
+      } catch (e) {}
+    });
+
+    stream.on('data', chunk => parser.push(decoder.write(chunk)));
+    stream.on('error', () => resolve(null));
+    // A stream destroyed by a departing client closes without ending
+    stream.on('close', () => resolve(null));
+    stream.on('end', () => {
+      parser.push(decoder.end());
+      parser.end();
+      if (!finishReason) return resolve(null);
+      const message = { role: 'assistant', content };
+      if (reasoning) message.reasoning_content = reasoning;
+      if (toolCalls.hasCalls()) message.tool_calls = toolCalls.toOpenAI();
+      resolve({
+        id: id || `chatcmpl-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{ index: 0, message, finish_reason: finishReason }],
+        ...(usage ? { usage } : {})
+      });
+    });
+  });
+}
+
+/**
+ * Replays a cached chat.completion as an OpenAI SSE stream, so controllers
+ * convert it to NDJSON or SSE exactly like a live upstream stream
+ * @param {Object} completion - Cached chat.completion object
+ * @returns {Object} - Readable stream of SSE lines
+ */
+function replayCompletion(completion) {
+  const choice = completion.choices?.[0] || {};
+  const message = choice.message || {};
+  const base = { id: completion.id, object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model: completion.model };
+  const deltas = [{ role: 'assistant', content: message.content || choice.text || '' }];
+  const reasoning = message.reasoning_content ?? message.reasoning;
+  if (reasoning) deltas[0].reasoning_content = reasoning;
+  if (Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+    deltas.push({ tool_calls: message.tool_calls.map((call, index) => ({ index, ...call })) });
+  }
+  // The last delta carries the finish reason, as live upstream streams do
+  const chunks = deltas.map((delta, i) => ({
+    ...base,
+    choices: [{ index: 0, delta, finish_reason: i === deltas.length - 1 ? (choice.finish_reason || 'stop') : null }]
+  }));
+  if (completion.usage) chunks.push({ ...base, choices: [], usage: completion.usage });
+  const lines = chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`);
+  lines.push('data: [DONE]\n\n');
+  return Readable.from(lines);
+}
+
+/**
+ * Serves a deterministic upstream request from the cache, or sends it and
+ * caches the answer for the route's TTL. Streamed answers are stored once
+ * complete and replayed as a stream on later hits. Sets `X-Cache: HIT|MISS`
+ * and `res.locals.cacheHit` so budgets are not charged for cached answers.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} request - { kind, model, input, params, stream }
+ * @param {Function} send - Sends the request upstream; returns the response
+ * @returns {Promise<Object>} - Upstream or cached response
+ */
+async function withResponseCache(req, res, request, send) {
+  const ttl = CACHE_POLICY.ttls[req.path];
+  if (!backend || !ttl || !isDeterministic(request.kind, request.params)) return send();
+
+  const key = buildCacheKey(request);
+  const streamed = Boolean(request.stream) && request.kind !== 'embeddings';
+  let entry = null;
+  try {
+    entry = await backend.get(key);
+  } catch (error) {
+    console.error('Cache read failed:', error.message);
+  }
+
+  if (entry) {
+    res.setHeader('X-Cache', 'HIT');
+    res.locals.cacheHit = true;
+    return { status: 200, headers: {}, data: streamed ? replayCompletion(entry.data) : entry.data, servedBy: entry.servedBy };
+  }
+
+  res.setHeader('X-Cache', 'MISS');
+  const response = await send();
+  const store = data => {
+    if (!data) return;
+    // Snapshot now: controllers go on to adjust the response they were given
+    const entry = JSON.parse(JSON.stringify({ data, servedBy: response.servedBy }));
+    backend.set(key, entry, ttl * 1000)
+      .catch(error => console.error('Cache write failed:', error.message));
+  };
+  if (streamed) collectCompletion(response.data).then(store);
+  else store(response.data);
+  return response;
+}
+
+module.exports = {
+  CACHE_BACKENDS,
+  buildCacheKey,
+  withResponseCache
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, RESPONSE_STORE } = require('../config/config');
+
+const RESPONSES_FILE = path.join(DATA_DIR, 'responses.json');
+
+// Delay before flushing stored responses to disk, so bursts cause one write
+const SAVE_DELAY_MS = 1000;
+
+// Longest previous_response_id chain followed when rebuilding a conversation
+const MAX_CHAIN_DEPTH = 1000;
+
+// id -> { response, input, output, owner }, oldest first
+let responses = {};
+let saveTimer = null;
+
+try {
+  if (fs.existsSync(RESPONSES_FILE)) responses = JSON.parse(fs.readFileSync(RESPONSES_FILE, 'utf8')).responses || {};
+} catch (error) {
+  console.error(`Failed to load responses from ${RESPONSES_FILE}:`, error.message);
+}
+
+/**
+ * Writes stored responses to disk
+ */
+function saveResponses() {
+  saveTimer = null;
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(RESPONSES_FILE, JSON.stringify({ responses }));
+  } catch (error) {
+    console.error(`Failed to save responses to ${RESPONSES_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Schedules a write of the stored responses
+ */
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveResponses, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+/**
+ * Finds a stored entry that belongs to the caller. Entries of other clients
+ * are treated as missing, so their IDs cannot be probed.
+ * @param {string} id - Response ID
+ * @param {string|null} owner - Key label of the caller (null when auth is off)
+ * @returns {Object|null} - Entry or null
+ */
+function findEntry(id, owner) {
+  if (!Object.prototype.hasOwnProperty.call(responses, id)) return null;
+  const entry = responses[id];
+  return (entry.owner ?? null) === (owner ?? null) ? entry : null;
+}
+
+/**
+ * Stores a response with the chat messages it added to its conversation.
+ * The oldest responses are dropped beyond RESPONSES_MAX_STORED.
+ * @param {Object} response - Response object returned to the client
+ * @param {Array} input - Chat messages of the request's input (without instructions)
+ * @param {Object} output - Assistant chat message produced by the response
+ * @param {string|null} owner - Key label of the client that created it (null when auth is off)
+ */
+function saveResponse(response, input, output, owner = null) {
+  responses[response.id] = { response, input, output, owner };
+  const ids = Object.keys(responses);
+  ids.slice(0, Math.max(0, ids.length - RESPONSE_STORE.maxEntries)).forEach(id => delete responses[id]);
+  scheduleSave();
+}
+
+/**
+ * Gets a stored response object
+ * @param {string} id - Response ID
+ * @param {string|null} owner - Key label of the caller
+ * @returns {Object|null} - Response or null when not stored for the caller
+ */
+function getResponse(id, owner = null) {
+  const entry = findEntry(id, owner);
+  return entry ? entry.response : null;
+}
+
+/**
+ * Deletes a stored response
+ * @param {string} id - Response ID
+ * @param {string|null} owner - Key label of the caller
+ * @returns {boolean} - True when the response existed for the caller
+ */
+function deleteResponse(id, owner = null) {
+  if (!findEntry(id, owner)) return false;
+  delete responses[id];
+  scheduleSave();
+  return true;
+}
+
+/**
+ * Rebuilds the conversation leading to a response by following
+ * previous_response_id back to the first response of the chain
+ * @param {string} id - Response ID
+ * @param {string|null} owner - Key label of the caller
+ * @returns {Array|null} - Chat messages, oldest first, or null when a response of the chain is missing or not the caller's
+ */
+function getConversation(id, owner = null) {
+  const chain = [];
+  for (let current = id; current && chain.length < MAX_CHAIN_DEPTH; current = chain[chain.length - 1].response.previous_response_id) {
+    const entry = findEntry(current, owner);
+    if (!entry) return null;
+    chain.push(entry);
+  }
+  return chain.reverse().flatMap(entry => [...entry.input, entry.output]);
+}
+
+// Flush pending responses on shutdown
+process.on('exit', () => {
+  if (saveTimer) saveResponses();
+});
+
+module.exports = {
+  RESPONSES_FILE,
+  saveResponse,
+  getResponse,
+  deleteResponse,
+  getConversation
+};
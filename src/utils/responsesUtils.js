@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const { generateToolCallId } = require('./toolUtils');
+const { buildUsage } = require('./metricsUtils');
+const { createSSETransform } = require('./streamUtils');
+const { createReasoningParser, separateReasoning, isReasoningReturned } = require('./reasoningUtils');
+
+/**
+ * Generates a Responses API object ID. Stored responses are fetched by ID,
+ * so IDs come from a cryptographic random source.
+ * @param {string} prefix - ID prefix ('resp', 'msg', 'rs' or 'fc')
+ * @returns {string} - ID
+ */
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Converts one Responses content part into an OpenAI chat content part
+ * @param {Object|string} part - input_text, output_text, refusal or input_image part
+ * @returns {Object|null} - Chat content part or null if unsupported
+ */
+function toChatContentPart(part) {
+  if (typeof part === 'string') return { type: 'text', text: part };
+  if (!part) return null;
+  if (part.type === 'input_text' || part.type === 'output_text') return { type: 'text', text: part.text || '' };
+  if (part.type === 'refusal') return { type: 'text', text: part.refusal || '' };
+  if (part.type === 'input_image' && part.image_url) {
+    return { type: 'image_url', image_url: { url: part.image_url, ...(part.detail ? { detail: part.detail } : {}) } };
+  }
+  return null;
+}
+
+/**
+ * Converts the content of a message item into chat message content.
+ * Assistant content is flattened to text, as chat upstreams expect.
+ * @param {string} role - Chat role
+ * @param {string|Array} content - Item content
+ * @returns {string|Array} - Chat message content
+ */
+function toChatContent(role, content) {
+  if (!Array.isArray(content)) return content || '';
+  const parts = content.map(toChatContentPart).filter(Boolean);
+  if (role === 'assistant' || parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text || '').join('');
+  }
+  return parts;
+}
+
+/**
+ * Converts a Responses API input into OpenAI chat messages. Message items map
+ * to messages (developer becomes system), function_call items to assistant
+ * tool_calls, function_call_output items to tool messages; reasoning and
+ * other item types are dropped.
+ * @param {string|Array} input - Request input
+ * @returns {Array} - OpenAI chat messages
+ */
+function toChatMessages(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) return [{ role: 'user', content: String(input) }];
+
+  const messages = [];
+  input.forEach(item => {
+    if (typeof item === 'string') {
+      messages.push({ role: 'user', content: item });
+    } else if (item.type === 'function_call') {
+      const call = {
+        id: item.call_id || generateToolCallId(),
+        type: 'function',
+        function: { name: item.name, arguments: typeof item.arguments === 'string' ? item.arguments : JSON.stringify(item.arguments || {}) }
+      };
+      // Consecutive calls belong to one assistant turn
+      const last = messages[messages.length - 1];
+      if (last && last.role === 'assistant' && Array.isArray(last.tool_calls)) last.tool_calls.push(call);
+      else messages.push({ role: 'assistant', content: null, tool_calls: [call] });
+    } else if (item.type === 'function_call_output') {
+      const output = item.output;
+      messages.push({ role: 'tool', tool_call_id: item.call_id, content: typeof output === 'string' ? output : JSON.stringify(output ?? '') });
+    } else if ((item.type === 'message' || !item.type) && item.role) {
+      const role = item.role === 'developer' ? 'system' : item.role;
+      messages.push({ role, content: toChatContent(role, item.content) });
+    }
+  });
+  return messages;
+}
+
+/**
+ * Converts a Responses API tool_choice into the OpenAI chat form
+ * @param {string|Object} toolChoice - 'auto', 'none', 'required' or { type: 'function', name }
+ * @returns {string|Object|undefined} - Chat tool_choice
+ */
+function toChatToolChoice(toolChoice) {
+  if (!toolChoice || typeof toolChoice === 'string') return toolChoice;
+  if (toolChoice.type === 'function' && toolChoice.name) return { type: 'function', function: { name: toolChoice.name } };
+  return undefined;
+}
+
+/**
+ * Converts a Responses API text.format into a chat response_format
+ * @param {Object} format - { type: 'text' | 'json_object' | 'json_schema', ... }
+ * @returns {Object|undefined} - Chat response_format
+ */
+function toChatResponseFormat(format) {
+  if (!format || format.type === 'text') return undefined;
+  if (format.type === 'json_schema') {
+    const { type, ...jsonSchema } = format;
+    return { type, json_schema: jsonSchema };
+  }
+  return format;
+}
+
+/**
+ * Maps Responses API request fields onto OpenAI chat parameters. Only
+ * function tools are forwarded; built-in tools have no chat equivalent.
+ * @param {Object} body - Request body
+ * @returns {Object} - OpenAI-style parameters
+ */
+function toChatParams(body) {
+  const params = {};
+  if (body.max_output_tokens !== undefined) params.max_tokens = body.max_output_tokens;
+  ['temperature', 'top_p', 'user', 'parallel_tool_calls'].forEach(key => {
+    if (body[key] !== undefined) params[key] = body[key];
+  });
+  const responseFormat = toChatResponseFormat(body.text?.format);
+  if (responseFormat) params.response_format = responseFormat;
+
+  const tools = (body.tools || []).filter(tool => tool.type === 'function');
+  if (tools.length > 0) {
+    params.tools = tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters || { type: 'object', properties: {} },
+        ...(tool.strict !== undefined ? { strict: tool.strict } : {})
+      }
+    }));
+    const toolChoice = toChatToolChoice(body.tool_choice);
+    if (toolChoice) params.tool_choice = toolChoice;
+  }
+  return params;
+}
+
+/**
+ * Builds a message output item
+ * @param {string} id - Item ID
+ * @param {string} text - Output text
+ * @param {string} [status] - Item status
+ * @returns {Object} - Message item
+ */
+function toMessageItem(id, text, status = 'completed') {
+  return {
+    type: 'message',
+    id,
+    status,
+    role: 'assistant',
+    content: status === 'in_progress' ? [] : [{ type: 'output_text', text, annotations: [] }]
+  };
+}
+
+/**
+ * Builds a reasoning output item
+ * @param {string} id - Item ID
+ * @param {string} text - Reasoning text
+ * @param {string} [status] - Item status
+ * @returns {Object} - Reasoning item
+ */
+function toReasoningItem(id, text, status = 'completed') {
+  return {
+    type: 'reasoning',
+    id,
+    status,
+    summary: [],
+    content: status === 'in_progress' ? [] : [{ type: 'reasoning_text', text }]
+  };
+}
+
+/**
+ * Builds a function_call output item
+ * @param {string} id - Item ID
+ * @param {Object} call - OpenAI tool call
+ * @param {string} [status] - Item status
+ * @returns {Object} - Function call item
+ */
+function toFunctionCallItem(id, call, status = 'completed') {
+  return {
+    type: 'function_call',
+    id,
+    call_id: call.id,
+    name: call.function?.name || '',
+    arguments: status === 'in_progress' ? '' : (call.function?.arguments || ''),
+    status
+  };
+}
+
+/**
+ * Converts an assistant chat message into Responses output items. Its
+ * reasoning, reported apart or inline in <think> blocks, becomes a leading
+ * reasoning item (or is dropped with REASONING_OUTPUT=strip).
+ * @param {Object} message - OpenAI assistant message
+ * @returns {Array} - Output items
+ */
+function toOutputItems(message = {}) {
+  const items = [];
+  const separated = separateReasoning(message, 'reasoning_content');
+  if (separated.reasoning_content) items.push(toReasoningItem(generateId('rs'), separated.reasoning_content));
+  if (separated.content) items.push(toMessageItem(generateId('msg'), separated.content));
+  (message.tool_calls || []).forEach(call => items.push(toFunctionCallItem(generateId('fc'), call)));
+  return items;
+}
+
+/**
+ * Converts output items back into the assistant chat message kept for
+ * previous_response_id chaining
+ * @param {Array} output - Output items
+ * @returns {Object} - OpenAI assistant message
+ */
+function toAssistantMessage(output) {
+  const text = output.filter(item => item.type === 'message')
+    .map(item => item.content.map(part => part.text || '').join('')).join('');
+  const toolCalls = output.filter(item => item.type === 'function_call')
+    .map(item => ({ id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments } }));
+  return toolCalls.length > 0
+    ? { role: 'assistant', content: text || null, tool_calls: toolCalls }
+    : { role: 'assistant', content: text };
+}
+
+/**
+ * Converts OpenAI usage into Responses API usage
+ * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {Object} - Responses usage
+ */
+function toResponsesUsage(usage) {
+  return {
+    input_tokens: usage.prompt_tokens,
+    input_tokens_details: { cached_tokens: usage.prompt_tokens_details?.cached_tokens || 0 },
+    output_tokens: usage.completion_tokens,
+    output_tokens_details: { reasoning_tokens: usage.completion_tokens_details?.reasoning_tokens || 0 },
+    total_tokens: usage.total_tokens
+  };
+}
+
+/**
+ * Creates the response object for a request, before any output is known
+ * @param {string} model - Client-facing model name
+ * @param {Object} body - Request body
+ * @returns {Object} - Response with status 'in_progress'
+ */
+function createResponseObject(model, body) {
+  return {
+    id: generateId('resp'),
+    object: 'response',
+    created_at: Math.floor(Date.now() / 1000),
+    status: 'in_progress',
+    error: null,
+    incomplete_details: null,
+    instructions: body.instructions ?? null,
+    max_output_tokens: body.max_output_tokens ?? null,
+    model,
+    output: [],
+    parallel_tool_calls: body.parallel_tool_calls ?? true,
+    previous_response_id: body.previous_response_id ?? null,
+    store: body.store !== false,
+    temperature: body.temperature ?? 1,
+    text: body.text || { format: { type: 'text' } },
+    tool_choice: body.tool_choice || 'auto',
+    tools: body.tools || [],
+    top_p: body.top_p ?? 1,
+    usage: null,
+    user: body.user ?? null,
+    metadata: body.metadata || {}
+  };
+}
+
+/**
+ * Completes a response object with its output and usage. A length finish
+ * makes the response incomplete, as max_output_tokens does upstream.
+ * @param {Object} response - Response from createResponseObject
+ * @param {Array} output - Output items
+ * @param {string} finishReason - OpenAI finish reason
+ * @param {Object} usage - OpenAI usage
+ * @returns {Object} - Finished response
+ */
+function finishResponse(response, output, finishReason, usage) {
+  const incomplete = finishReason === 'length';
+  return {
+    ...response,
+    status: incomplete ? 'incomplete' : 'completed',
+    incomplete_details: incomplete ? { reason: 'max_output_tokens' } : null,
+    output,
+    usage: toResponsesUsage(usage)
+  };
+}
+
+/**
+ * Formats a Responses API SSE event
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload (without type)
+ * @returns {string} - SSE event text
+ */
+function formatEvent(type, data = {}) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+/**
+ * Creates a stream that turns OpenAI chat.completion.chunk SSE events into
+ * the Responses API event sequence: response.created and
+ * response.in_progress, an output_item.added ... output_item.done group per
+ * reasoning, message or function_call item, and response.completed (or
+ * response.incomplete) carrying the finished response
+ * @param {Object} response - Response from createResponseObject
+ * @param {number} promptTokens - Estimated input tokens
+ * @param {Function} [onFinish] - Called with the finished response and its OpenAI usage
+ * @returns {Transform} - Transform stream
+ */
+function createResponsesStreamTransform(response, promptTokens, onFinish) {
+  let sequence = 0;
+  let started = false;
+  let item = null;
+  let text = '';
+  let finishReason = null;
+  let upstreamUsage = null;
+  const output = [];
+  const toolKeys = new Set();
+  const reasoningParser = createReasoningParser();
+
+  const emit = (stream, type, data) => stream.push(formatEvent(type, { sequence_number: sequence++, ...data }));
+
+  const start = stream => {
+    if (started) return;
+    started = true;
+    emit(stream, 'response.created', { response });
+    emit(stream, 'response.in_progress', { response });
+  };
+
+  const closeItem = stream => {
+    if (!item) return;
+    const { outputIndex, id } = item;
+    let done;
+    if (item.call) {
+      done = toFunctionCallItem(id, item.call);
+      emit(stream, 'response.function_call_arguments.done', { item_id: id, output_index: outputIndex, arguments: done.arguments });
+    } else if (item.key === 'reasoning') {
+      done = toReasoningItem(id, item.text);
+      emit(stream, 'response.reasoning_text.done', { item_id: id, output_index: outputIndex, content_index: 0, text: item.text });
+    } else {
+      done = toMessageItem(id, item.text);
+      const part = done.content[0];
+      emit(stream, 'response.output_text.done', { item_id: id, output_index: outputIndex, content_index: 0, text: part.text });
+      emit(stream, 'response.content_part.done', { item_id: id, output_index: outputIndex, content_index: 0, part });
+    }
+    emit(stream, 'response.output_item.done', { output_index: outputIndex, item: done });
+    output.push(done);
+    item = null;
+  };
+
+  const openItem = (stream, key, call) => {
+    if (item && item.key === key) return;
+    closeItem(stream);
+    const reasoning = key === 'reasoning';
+    item = { key, outputIndex: output.length, id: generateId(call ? 'fc' : (reasoning ? 'rs' : 'msg')), text: '', call };
+    let added;
+    if (call) added = toFunctionCallItem(item.id, call, 'in_progress');
+    else if (reasoning) added = toReasoningItem(item.id, '', 'in_progress');
+    else added = toMessageItem(item.id, '', 'in_progress');
+    emit(stream, 'response.output_item.added', { output_index: item.outputIndex, item: added });
+    if (!call && !reasoning) {
+      emit(stream, 'response.content_part.added', {
+        item_id: item.id,
+        output_index: item.outputIndex,
+        content_index: 0,
+        part: { type: 'output_text', text: '', annotations: [] }
+      });
+    }
+  };
+
+  // Reasoning goes to a reasoning item (unless stripped), answer text to a message item
+  const writeText = (stream, { content, reasoning }) => {
+    text += content + reasoning;
+    if (reasoning && isReasoningReturned()) {
+      openItem(stream, 'reasoning');
+      item.text += reasoning;
+      emit(stream, 'response.reasoning_text.delta', { item_id: item.id, output_index: item.outputIndex, content_index: 0, delta: reasoning });
+    }
+    if (content) {
+      openItem(stream, 'text');
+      item.text += content;
+      emit(stream, 'response.output_text.delta', { item_id: item.id, output_index: item.outputIndex, content_index: 0, delta: content });
+    }
+  };
+
+  const handleChunk = (stream, chunk) => {
+    start(stream);
+    if (chunk.usage) upstreamUsage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+    writeText(stream, reasoningParser.push(delta));
+    (delta.tool_calls || []).forEach((call, position) => {
+      const key = `tool:${call.index !== undefined ? call.index : position}`;
+      if (!toolKeys.has(key)) {
+        toolKeys.add(key);
+        openItem(stream, key, { id: call.id || generateToolCallId(), type: 'function', function: { name: call.function?.name || '', arguments: '' } });
+      }
+      // Fragments of a call whose item was already closed cannot be sent any more
+      const args = call.function?.arguments;
+      if (!args || !item || item.key !== key) return;
+      const fragment = typeof args === 'string' ? args : JSON.stringify(args);
+      item.call.function.arguments += fragment;
+      emit(stream, 'response.function_call_arguments.delta', { item_id: item.id, output_index: item.outputIndex, delta: fragment });
+    });
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  };
+
+  return createSSETransform(handleChunk, stream => {
+    start(stream);
+    writeText(stream, reasoningParser.flush());
+    closeItem(stream);
+    const usage = buildUsage(upstreamUsage, promptTokens, text);
+    const finished = finishResponse(response, output, finishReason, usage);
+    emit(stream, finished.status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response: finished });
+    if (onFinish) onFinish(finished, usage);
+  });
+}
+
+module.exports = {
+  toChatMessages,
+  toChatParams,
+  toOutputItems,
+  toAssistantMessage,
+  createResponseObject,
+  finishResponse,
+  formatEvent,
+  createResponsesStreamTransform
+};
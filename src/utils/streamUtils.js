@@ -0,0 +1,235 @@
+const { Transform, Writable, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { STREAM_KEEPALIVE_MS } = require('../config/config');
+const { createApiError, toApiError } = require('./errorUtils');
+
+// SSE comment sent while the upstream is quiet, so proxies keep the connection
+const KEEPALIVE_COMMENT = ': keepalive\n\n';
+
+/**
+ * Creates an incremental parser for Server-Sent Events (WHATWG event stream
+ * format): lines end in LF, CR or CRLF, `data:` lines of one event are
+ * joined with newlines, `event:` and `id:` are kept, comments and unknown
+ * fields are ignored and a blank line dispatches the event. An event left
+ * unterminated when the stream ends is still dispatched, since some
+ * upstreams omit the final blank line.
+ * @param {Function} onEvent - Called with { event, data, id } for every event
+ * @returns {Object} - Parser with push(text) and end()
+ */
+function createSSEParser(onEvent) {
+  let buffer = '';
+  let started = false;
+  let data = [];
+  let eventType = '';
+  let lastEventId = '';
+
+  const dispatch = () => {
+    if (data.length > 0) onEvent({ event: eventType || 'message', data: data.join('\n'), id: lastEventId });
+    data = [];
+    eventType = '';
+  };
+
+  const processLine = line => {
+    if (line === '') return dispatch();
+    if (line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+    if (field === 'data') data.push(value);
+    else if (field === 'event') eventType = value;
+    else if (field === 'id' && !value.includes('\0')) lastEventId = value;
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      if (!started && buffer) {
+        started = true;
+        if (buffer.startsWith('\uFEFF')) buffer = buffer.slice(1);
+      }
+      // A trailing CR may be the first half of a CRLF split across chunks
+      const end = buffer.endsWith('\r') ? buffer.length - 1 : buffer.length;
+      const lines = buffer.slice(0, end).split(/\r\n|\r|\n/);
+      buffer = lines.pop() + buffer.slice(end);
+      lines.forEach(processLine);
+    },
+    end() {
+      if (buffer) processLine(buffer.replace(/\r$/, ''));
+      buffer = '';
+      dispatch();
+    }
+  };
+}
+
+/**
+ * Creates the error for an error event an upstream sends mid-stream
+ * @param {Object} data - Event payload
+ * @returns {Error} - Error with statusCode 502
+ */
+function createStreamError(data) {
+  const detail = data?.error?.message || (typeof data?.error === 'string' ? data.error : 'unknown error');
+  return createApiError(502, `Upstream stream error: ${detail}`);
+}
+
+/**
+ * Creates a stream that parses SSE input and hands the JSON payload of every
+ * event to handleData. `[DONE]` markers are skipped and unparseable
+ * payloads are logged and skipped; an upstream error (an `error` event, or
+ * a payload holding only an `error`) fails the stream.
+ * @param {Function} handleData - Called with (stream, data, eventType); pushes output to stream
+ * @param {Function} [onFlush] - Called with (stream) once the input has ended
+ * @returns {Transform} - Transform stream
+ */
+function createSSETransform(handleData, onFlush) {
+  const decoder = new StringDecoder('utf8');
+  let failure = null;
+
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      parser.push(decoder.write(chunk));
+      callback(failure);
+    },
+    flush(callback) {
+      parser.push(decoder.end());
+      parser.end();
+      if (failure) return callback(failure);
+      try {
+        if (onFlush) onFlush(this);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+
+  const parser = createSSEParser(event => {
+    if (failure || event.data === '[DONE]') return;
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch (error) {
+      console.error('Skipping unparseable stream event:', error.message);
+      return;
+    }
+    if (event.event === 'error' || (data?.error && !data.choices && !data.candidates)) {
+      failure = createStreamError(data);
+      return;
+    }
+    try {
+      handleData(transform, data, event.event);
+    } catch (error) {
+      console.error('Error handling stream event:', error.message);
+    }
+  });
+
+  return transform;
+}
+
+/**
+ * Pipes an upstream stream into a transform so that destroying either one
+ * destroys the other: upstream failures reach the consumer, and a consumer
+ * that gives up closes the upstream connection
+ * @param {Object} source - Upstream response stream
+ * @param {Transform} transform - Transform stream
+ * @returns {Transform} - The transform
+ */
+function pipeUpstream(source, transform) {
+  // Errors surface on the transform, which pipeline destroys with them
+  pipeline(source, transform, () => {});
+  return transform;
+}
+
+/**
+ * Creates a pass-through stream that pushes an SSE keepalive comment
+ * whenever nothing has passed through for intervalMs
+ * @param {number} intervalMs - Quiet time before a comment
+ * @returns {Transform} - Transform stream
+ */
+function createKeepAliveTransform(intervalMs) {
+  let timer = null;
+  const schedule = stream => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      stream.push(KEEPALIVE_COMMENT);
+      schedule(stream);
+    }, intervalMs);
+  };
+
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      schedule(this);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      clearTimeout(timer);
+      callback();
+    }
+  });
+  transform.on('close', () => clearTimeout(timer));
+  schedule(transform);
+  return transform;
+}
+
+/**
+ * Creates the last stage of a client stream: a writable that hands chunks to
+ * the response and takes the next one only once the response has drained,
+ * so the pipeline completes only after everything reached the response
+ * @param {Object} res - Express response object
+ * @returns {Writable} - Writable stream
+ */
+function createResponseSink(res) {
+  return new Writable({
+    write(chunk, encoding, callback) {
+      if (res.write(chunk)) return callback();
+      const onDrain = () => {
+        res.off('close', onDrain);
+        callback();
+      };
+      res.once('drain', onDrain);
+      res.once('close', onDrain);
+    }
+  });
+}
+
+/**
+ * Streams an upstream response to the client through the given transforms.
+ * Writes respect the client's backpressure and the response ends only once
+ * all output has been written; a client that disconnects cancels the
+ * upstream request; an upstream failure mid-stream ends the response with a
+ * final error chunk in the client's dialect instead of a silent truncation;
+ * SSE responses get keepalive comments while the upstream is quiet.
+ * @param {Object} res - Express response object
+ * @param {Object} source - Upstream response stream
+ * @param {Object} options - { transforms, formatError(message) returning the error chunk, keepalive (SSE only), label for logs }
+ */
+function streamToClient(res, source, { transforms = [], formatError, keepalive = false, label = 'stream' } = {}) {
+  const streams = [source, ...transforms];
+  if (keepalive && STREAM_KEEPALIVE_MS > 0) streams.push(createKeepAliveTransform(STREAM_KEEPALIVE_MS));
+
+  let clientGone = false;
+  const sink = pipeline(...streams, createResponseSink(res), error => {
+    if (clientGone || res.writableEnded) return;
+    if (error) {
+      console.error(`Upstream stream error in ${label}:`, error.message);
+      if (formatError) res.write(formatError(toApiError(error).message));
+    }
+    res.end();
+  });
+
+  // Destroying the sink tears down the whole chain, upstream request included
+  const abandon = () => {
+    if (res.writableFinished) return;
+    clientGone = true;
+    sink.destroy();
+  };
+  if (res.destroyed) abandon();
+  else res.on('close', abandon);
+}
+
+module.exports = {
+  createSSEParser,
+  createSSETransform,
+  pipeUpstream,
+  streamToClient
+};
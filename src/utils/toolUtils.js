@@ -0,0 +1,119 @@
+/**
+ * Generates an OpenAI-style tool call ID
+ * @returns {string} - Tool call ID
+ */
+function generateToolCallId() {
+  return `call_${Math.random().toString(36).substr(2, 12)}`;
+}
+
+/**
+ * Parses tool call arguments, which OpenAI sends as a JSON string
+ * @param {string|Object} args - Arguments string or object
+ * @returns {Object} - Parsed arguments (empty object when unparseable)
+ */
+function parseToolArguments(args) {
+  if (args && typeof args === 'object') return args;
+  if (!args) return {};
+  try {
+    return JSON.parse(args);
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Converts chat messages that may use Ollama's tool calling shape into
+ * OpenAI messages: tool call arguments become JSON strings, calls get IDs,
+ * and tool results are linked back to their call through tool_call_id
+ * @param {Array} messages - Chat messages (Ollama or OpenAI format)
+ * @returns {Array} - OpenAI chat messages
+ */
+function toOpenAIMessages(messages) {
+  if (!Array.isArray(messages)) return messages;
+  const pendingCalls = [];
+
+  return messages.map(message => {
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls)) {
+      const toolCalls = message.tool_calls.map(call => {
+        const id = call.id || generateToolCallId();
+        const name = call.function?.name;
+        pendingCalls.push({ id, name });
+        const args = call.function?.arguments;
+        return {
+          id,
+          type: 'function',
+          function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args || {}) }
+        };
+      });
+      return { ...message, content: message.content || null, tool_calls: toolCalls };
+    }
+
+    if (message.role === 'tool' && !message.tool_call_id) {
+      const toolName = message.tool_name || message.name;
+      const index = toolName ? pendingCalls.findIndex(c => c.name === toolName) : 0;
+      const call = index >= 0 ? pendingCalls.splice(index, 1)[0] : null;
+      const { tool_name: _, ...rest } = message;
+      return { ...rest, tool_call_id: call ? call.id : generateToolCallId() };
+    }
+
+    return message;
+  });
+}
+
+/**
+ * Converts OpenAI tool calls into Ollama's message.tool_calls format
+ * @param {Array} toolCalls - OpenAI tool calls
+ * @returns {Array} - Ollama tool calls (arguments as objects)
+ */
+function toOllamaToolCalls(toolCalls) {
+  return (toolCalls || []).map(call => ({
+    function: {
+      name: call.function?.name,
+      arguments: parseToolArguments(call.function?.arguments)
+    }
+  }));
+}
+
+/**
+ * Creates an accumulator for streamed tool call fragments. OpenAI streams
+ * a call's id and name once and its arguments in pieces, keyed by index.
+ * @returns {Object} - Accumulator with add(), hasCalls(), toOpenAI() and toOllama()
+ */
+function createToolCallAccumulator() {
+  const calls = [];
+
+  return {
+    add(deltaToolCalls) {
+      (deltaToolCalls || []).forEach((delta, position) => {
+        const index = delta.index !== undefined ? delta.index : position;
+        if (!calls[index]) {
+          calls[index] = { id: delta.id || generateToolCallId(), type: 'function', function: { name: '', arguments: '' } };
+        }
+        const call = calls[index];
+        if (delta.id) call.id = delta.id;
+        if (delta.function?.name) call.function.name += delta.function.name;
+        if (delta.function?.arguments) {
+          const args = delta.function.arguments;
+          call.function.arguments += typeof args === 'string' ? args : JSON.stringify(args);
+        }
+      });
+    },
+    hasCalls() {
+      return calls.some(Boolean);
+    },
+    toOpenAI() {
+      return calls.filter(Boolean);
+    },
+    toOllama() {
+      return toOllamaToolCalls(calls.filter(Boolean));
+    }
+  };
+}
+
+module.exports = {
+  generateToolCallId,
+  parseToolArguments,
+  toOpenAIMessages,
+  toOllamaToolCalls,
+  createToolCallAccumulator
+};
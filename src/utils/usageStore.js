@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../config/config');
+
+const USAGE_FILE = path.join(DATA_DIR, 'usage.json');
+
+// Delay before flushing counters to disk, so bursts cause one write
+const SAVE_DELAY_MS = 1000;
+
+let usage = {};
+let saveTimer = null;
+
+try {
+  if (fs.existsSync(USAGE_FILE)) usage = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+} catch (error) {
+  console.error(`Failed to load usage from ${USAGE_FILE}:`, error.message);
+}
+
+/**
+ * Gets the current UTC day and month period keys
+ * @param {Date} date - Date to use
+ * @returns {Object} - { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+ */
+function getPeriods(date = new Date()) {
+  const iso = date.toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+/**
+ * Writes counters to disk
+ */
+function saveUsage() {
+  saveTimer = null;
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(USAGE_FILE, JSON.stringify(usage, null, 2));
+  } catch (error) {
+    console.error(`Failed to save usage to ${USAGE_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Gets token usage for the current day and month
+ * @param {string} id - Counter identity (client, or client and model)
+ * @returns {Object} - { dayTokens, monthTokens }
+ */
+function getUsage(id) {
+  const { day, month } = getPeriods();
+  const entry = usage[id] || {};
+  return {
+    dayTokens: entry.day === day ? entry.dayTokens : 0,
+    monthTokens: entry.month === month ? entry.monthTokens : 0
+  };
+}
+
+/**
+ * Adds tokens to the current day and month counters
+ * @param {string} id - Counter identity
+ * @param {number} tokens - Tokens used
+ */
+function addUsage(id, tokens) {
+  if (!tokens) return;
+  const { day, month } = getPeriods();
+  const current = getUsage(id);
+  usage[id] = {
+    day,
+    dayTokens: current.dayTokens + tokens,
+    month,
+    monthTokens: current.monthTokens + tokens
+  };
+  if (!saveTimer) {
+    saveTimer = setTimeout(saveUsage, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+}
+
+// Flush pending counters on shutdown
+process.on('exit', () => {
+  if (saveTimer) saveUsage();
+});
+
+module.exports = {
+  USAGE_FILE,
+  getUsage,
+  addUsage,
+  saveUsage
+};
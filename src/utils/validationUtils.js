@@ -0,0 +1,152 @@
+// Names used for value types in error messages
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+/**
+ * Gets the schema type of a JSON value
+ * @param {*} value - Value
+ * @returns {string} - 'string', 'integer', 'number', 'boolean', 'object', 'array' or 'null'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Checks a value against a schema type (an integer is also a number)
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean} - True when the value has the type
+ */
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer' && Number.isFinite(value));
+}
+
+/**
+ * Joins a list for an error message: "a, b or c"
+ * @param {Array<string>} items - Items
+ * @returns {string} - Joined list
+ */
+function joinList(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0];
+}
+
+/**
+ * Formats a count with a noun: "1 item", "2 items"
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} - Count and noun
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Creates a validation failure
+ * @param {string} param - Path of the offending field
+ * @param {string} code - OpenAI-style error code
+ * @param {string} message - Error message
+ * @returns {Object} - { param, code, message }
+ */
+function fail(param, code, message) {
+  return { param, code, message };
+}
+
+/**
+ * Checks the length, item count or range limits of a value
+ * @param {Object} schema - Schema
+ * @param {*} value - Value of the schema's type
+ * @param {string} path - Field path
+ * @returns {Object|null} - Failure or null
+ */
+function checkLimits(schema, value, path) {
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(path, 'string_below_min_length', `'${path}' must be at least ${plural(schema.minLength, 'character')} long.`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(path, 'string_above_max_length', `'${path}' must be at most ${plural(schema.maxLength, 'character')} long.`);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(path, 'array_below_min_length', `'${path}' must contain at least ${plural(schema.minItems, 'item')}.`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(path, 'array_above_max_length', `'${path}' must contain at most ${plural(schema.maxItems, 'item')}.`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(path, 'number_below_min_value', `'${path}' must be at least ${schema.minimum}, but got ${value}.`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail(path, 'number_above_max_value', `'${path}' must be at most ${schema.maximum}, but got ${value}.`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates a value against a schema, a small JSON Schema subset: `type`
+ * (one or a list), `enum`, `required`, `properties`, `items`,
+ * `minLength`/`maxLength`, `minItems`/`maxItems` and `minimum`/`maximum`.
+ * With stripUnknown, properties an object schema does not list are deleted
+ * unless it sets `additionalProperties: true`.
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to check (objects may be modified when stripping)
+ * @param {string} path - Path of the value, e.g. "messages[0].content"
+ * @param {Object} options - { stripUnknown }
+ * @returns {Object|null} - First failure ({ param, code, message }) or null
+ */
+function validateValue(schema, value, path, options = {}) {
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(type => hasType(value, type))) {
+    const expected = joinList(types.map(type => TYPE_NAMES[type]));
+    return fail(path, 'invalid_type', `Invalid type for '${path}': expected ${expected}, but got ${TYPE_NAMES[typeOf(value)]}.`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    const expected = joinList(schema.enum.map(item => JSON.stringify(item)));
+    return fail(path, 'invalid_value', `Invalid value for '${path}': expected one of ${expected}, but got ${JSON.stringify(value)}.`);
+  }
+  const limitFailure = checkLimits(schema, value, path);
+  if (limitFailure) return limitFailure;
+
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const failure = validateValue(schema.items, value[i], `${path}[${i}]`, options);
+      if (failure) return failure;
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const prefix = path ? `${path}.` : '';
+    const missing = (schema.required || []).find(key => value[key] === undefined);
+    if (missing) return fail(`${prefix}${missing}`, 'missing_required_parameter', `Missing required parameter: '${prefix}${missing}'.`);
+    const properties = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      if (properties[key]) {
+        if (value[key] === undefined) continue;
+        const failure = validateValue(properties[key], value[key], `${prefix}${key}`, options);
+        if (failure) return failure;
+      } else if (options.stripUnknown && schema.properties && schema.additionalProperties !== true) {
+        delete value[key];
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  validateValue
+};
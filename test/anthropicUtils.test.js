@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { createSSEParser } = require('../src/utils/streamUtils');
+const {
+  toOpenAIChatMessages,
+  toOpenAIChatParams,
+  toAnthropicMessage,
+  createAnthropicStreamTransform,
+  buildAnthropicPayload,
+  anthropicToOpenAIResponse,
+  createAnthropicToOpenAIStreamTransform
+} = require('../src/utils/anthropicUtils');
+
+/**
+ * Runs SSE text through a transform and collects the events it emits
+ * @param {Transform} transform - SSE transform
+ * @param {Array<string>} chunks - Upstream text chunks
+ * @returns {Promise<Array>} - Events as { event, data } with data parsed unless it is '[DONE]'
+ */
+async function collectEvents(transform, chunks) {
+  const events = [];
+  const parser = createSSEParser(({ event, data }) => {
+    events.push({ event, data: data === '[DONE]' ? data : JSON.parse(data) });
+  });
+  for await (const chunk of Readable.from(chunks).pipe(transform)) parser.push(chunk.toString());
+  parser.end();
+  return events;
+}
+
+/**
+ * Formats OpenAI chat.completion.chunk payloads as SSE text
+ * @param {Array<Object>} deltas - { delta, finish_reason } per chunk
+ * @returns {Array<string>} - SSE events, ending with [DONE]
+ */
+function toOpenAIEvents(deltas) {
+  return [
+    ...deltas.map(({ delta, finish_reason: finishReason = null }) => {
+      return `data: ${JSON.stringify({ choices: [{ index: 0, delta, finish_reason: finishReason }] })}\n\n`;
+    }),
+    'data: [DONE]\n\n'
+  ];
+}
+
+test('toOpenAIChatMessages turns tool_use and tool_result blocks into tool calls and tool messages', () => {
+  const messages = toOpenAIChatMessages([{ type: 'text', text: 'Be brief.' }], [
+    { role: 'user', content: 'Weather in Paris?' },
+    { role: 'assistant', content: [{ type: 'text', text: 'Checking.' }, { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: 'sunny' }] }, { type: 'text', text: 'Thanks' }] }
+  ]);
+
+  assert.deepStrictEqual(messages, [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Weather in Paris?' },
+    {
+      role: 'assistant',
+      content: 'Checking.',
+      tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+    },
+    { role: 'tool', tool_call_id: 'toolu_1', content: 'sunny' },
+    { role: 'user', content: 'Thanks' }
+  ]);
+});
+
+test('toOpenAIChatParams maps sampling, stop sequences and custom tools', () => {
+  const params = toOpenAIChatParams({
+    max_tokens: 100,
+    temperature: 0.5,
+    stop_sequences: ['END'],
+    metadata: { user_id: 'u1' },
+    tools: [{ name: 'lookup', input_schema: { type: 'object', properties: {} } }, { type: 'web_search_20250305', name: 'web_search' }],
+    tool_choice: { type: 'any' }
+  });
+
+  assert.deepStrictEqual(params, {
+    max_tokens: 100,
+    temperature: 0.5,
+    stop: ['END'],
+    user: 'u1',
+    tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object', properties: {} } } }],
+    tool_choice: 'required'
+  });
+});
+
+test('toAnthropicMessage puts reasoning, text and tool calls in content blocks', () => {
+  const message = toAnthropicMessage('claude-test', {
+    choices: [{
+      message: { role: 'assistant', content: '<think>hmm</think>Sure', tool_calls: [{ id: 'call_1', function: { name: 'lookup', arguments: '{"q":"x"}' } }] },
+      finish_reason: 'stop'
+    }]
+  }, { prompt_tokens: 5, completion_tokens: 3 });
+
+  assert.deepStrictEqual(message.content, [
+    { type: 'thinking', thinking: 'hmm', signature: '' },
+    { type: 'text', text: 'Sure' },
+    { type: 'tool_use', id: 'call_1', name: 'lookup', input: { q: 'x' } }
+  ]);
+  assert.strictEqual(message.stop_reason, 'tool_use');
+  assert.deepStrictEqual(message.usage, { input_tokens: 5, output_tokens: 3 });
+});
+
+test('createAnthropicStreamTransform emits the Messages event sequence with one block per kind', async () => {
+  let finalUsage = null;
+  const events = await collectEvents(createAnthropicStreamTransform('claude-test', 7, usage => { finalUsage = usage; }), toOpenAIEvents([
+    { delta: { role: 'assistant', content: 'Hel' } },
+    { delta: { content: 'lo' } },
+    { delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'lookup', arguments: '{"q":' } }] } },
+    { delta: { tool_calls: [{ index: 0, function: { arguments: '"x"}' } }] }, finish_reason: 'stop' }
+  ]));
+
+  assert.deepStrictEqual(events.map(event => event.event), [
+    'message_start',
+    'ping',
+    'content_block_start',
+    'content_block_delta',
+    'content_block_delta',
+    'content_block_stop',
+    'content_block_start',
+    'content_block_delta',
+    'content_block_delta',
+    'content_block_stop',
+    'message_delta',
+    'message_stop'
+  ]);
+  assert.strictEqual(events[0].data.message.usage.input_tokens, 7);
+  assert.deepStrictEqual(events[6].data.content_block, { type: 'tool_use', id: 'call_1', name: 'lookup', input: {} });
+  assert.deepStrictEqual(events[8].data.delta, { type: 'input_json_delta', partial_json: '"x"}' });
+  assert.strictEqual(events[10].data.delta.stop_reason, 'tool_use');
+  assert.strictEqual(finalUsage.prompt_tokens, 7);
+});
+
+test('buildAnthropicPayload builds tool_result turns, merges roles and clamps the temperature', () => {
+  const payload = buildAnthropicPayload([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Weather?' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: 'sunny' },
+    { role: 'user', content: 'Thanks' }
+  ], { temperature: 1.6, stop: 'END', tools: [{ type: 'function', function: { name: 'get_weather' } }], tool_choice: 'required' });
+
+  assert.deepStrictEqual(payload, {
+    max_tokens: 3000,
+    system: 'Be brief.',
+    messages: [
+      { role: 'user', content: [{ type: 'text', text: 'Weather?' }] },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: 'sunny' }, { type: 'text', text: 'Thanks' }] }
+    ],
+    temperature: 1,
+    stop_sequences: ['END'],
+    tools: [{ name: 'get_weather', input_schema: { type: 'object', properties: {} } }],
+    tool_choice: { type: 'any' }
+  });
+});
+
+test('anthropicToOpenAIResponse maps blocks, stop reason and cached usage', () => {
+  const response = anthropicToOpenAIResponse('claude-test', {
+    id: 'msg_1',
+    content: [{ type: 'thinking', thinking: 'hmm' }, { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: { q: 'x' } }],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 2, cache_read_input_tokens: 3, output_tokens: 4 }
+  });
+
+  assert.strictEqual(response.id, 'msg_1');
+  assert.deepStrictEqual(response.choices[0], {
+    index: 0,
+    message: {
+      role: 'assistant',
+      content: null,
+      reasoning_content: 'hmm',
+      tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } }]
+    },
+    finish_reason: 'tool_calls'
+  });
+  assert.deepStrictEqual(response.usage, { prompt_tokens: 5, completion_tokens: 4, total_tokens: 9 });
+});
+
+test('createAnthropicToOpenAIStreamTransform turns Messages events into chat chunks', async () => {
+  const upstream = [
+    ['message_start', { message: { id: 'msg_1', usage: { input_tokens: 6 } } }],
+    ['content_block_start', { index: 0, content_block: { type: 'text', text: '' } }],
+    ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Hi' } }],
+    ['content_block_stop', { index: 0 }],
+    ['content_block_start', { index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'lookup' } }],
+    ['content_block_delta', { index: 1, delta: { type: 'input_json_delta', partial_json: '{"q":"x"}' } }],
+    ['content_block_stop', { index: 1 }],
+    ['message_delta', { delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 2 } }],
+    ['message_stop', {}]
+  ].map(([type, data]) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  const events = await collectEvents(createAnthropicToOpenAIStreamTransform('claude-test'), upstream);
+
+  assert.strictEqual(events.pop().data, '[DONE]');
+  const chunks = events.map(event => event.data);
+  assert.ok(chunks.every(chunk => chunk.id === 'msg_1' && chunk.model === 'claude-test'));
+  assert.deepStrictEqual(chunks.map(chunk => chunk.choices[0].delta), [
+    { role: 'assistant', content: 'Hi' },
+    { tool_calls: [{ index: 0, id: 'toolu_1', type: 'function', function: { name: 'lookup', arguments: '' } }] },
+    { tool_calls: [{ index: 0, function: { arguments: '{"q":"x"}' } }] },
+    {}
+  ]);
+  assert.strictEqual(chunks[3].choices[0].finish_reason, 'tool_calls');
+  assert.deepStrictEqual(chunks[3].usage, { prompt_tokens: 6, completion_tokens: 2, total_tokens: 8 });
+});
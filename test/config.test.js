@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// config.js reads the environment when it is first required
+Object.assign(process.env, {
+  DEFAULT_MODEL: '',
+  MODELS: 'known:7b,prefix:1b',
+  MODEL_ROUTE_MAP: JSON.stringify({ '/api/chat': { 'alias:7b': 'route/chat', 'glob:*': 'route/glob-*' } }),
+  MODEL_MAP: 'alias:7b=mapped/exact,glob:*=mapped/glob-*,prefix:1b=mapped/prefix',
+  MODEL_MAP_PREFIX: 'prefix:=upstream/,prefix:long-=upstream/long-',
+  MODEL_FALLBACK_TARGET: 'fallback/model'
+});
+const { mapModel } = require('../src/config/config');
+
+test('mapModel prefers the per-route map, then MODEL_MAP, then MODEL_MAP_PREFIX', () => {
+  assert.strictEqual(mapModel('alias:7b', '/api/chat'), 'route/chat');
+  assert.strictEqual(mapModel('alias:7b', '/v1/chat/completions'), 'mapped/exact');
+  assert.strictEqual(mapModel('prefix:1b'), 'mapped/prefix');
+  assert.strictEqual(mapModel('prefix:3b'), 'upstream/3b');
+});
+
+test('mapModel fills glob targets with the text matched by the wildcard', () => {
+  assert.strictEqual(mapModel('glob:13b', '/api/chat'), 'route/glob-13b');
+  assert.strictEqual(mapModel('glob:13b'), 'mapped/glob-13b');
+});
+
+test('mapModel uses the longest matching prefix', () => {
+  assert.strictEqual(mapModel('prefix:long-8b'), 'upstream/long-8b');
+});
+
+test('mapModel sends only names missing from the catalog to MODEL_FALLBACK_TARGET', () => {
+  assert.strictEqual(mapModel('known:7b'), 'known:7b');
+  assert.strictEqual(mapModel('known:7b:latest'), 'known:7b:latest');
+  assert.strictEqual(mapModel('unknown:1b'), 'fallback/model');
+  assert.strictEqual(mapModel(''), 'fallback/model');
+});
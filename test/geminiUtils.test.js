@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { buildGeminiPayload, toOpenAIChatResponse, createGeminiStreamTransform } = require('../src/utils/geminiUtils');
+
+/**
+ * Runs SSE text through a transform and collects the JSON payloads it emits
+ * @param {Transform} transform - SSE transform
+ * @param {Array<string>} chunks - Upstream text chunks
+ * @returns {Promise<Array>} - Emitted payloads ('[DONE]' kept as a string)
+ */
+async function collectEvents(transform, chunks) {
+  let output = '';
+  for await (const chunk of Readable.from(chunks).pipe(transform)) output += chunk;
+  return output.split('\n\n').filter(Boolean).map(event => {
+    const data = event.replace(/^data: /, '');
+    return data === '[DONE]' ? data : JSON.parse(data);
+  });
+}
+
+test('buildGeminiPayload moves system messages out and merges consecutive turns', () => {
+  const payload = buildGeminiPayload([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hi' },
+    { role: 'user', content: [{ type: 'text', text: 'there' }] },
+    { role: 'assistant', content: 'Hello' }
+  ], { temperature: 0.2, stop: 'END' });
+
+  assert.deepStrictEqual(payload.systemInstruction, { parts: [{ text: 'Be brief.' }] });
+  assert.deepStrictEqual(payload.contents, [
+    { role: 'user', parts: [{ text: 'Hi' }, { text: 'there' }] },
+    { role: 'model', parts: [{ text: 'Hello' }] }
+  ]);
+  assert.deepStrictEqual(payload.generationConfig, { maxOutputTokens: 2048, temperature: 0.2, stopSequences: ['END'] });
+});
+
+test('toOpenAIChatResponse maps text, finish reason and usage', () => {
+  const response = toOpenAIChatResponse('gemini-pro', {
+    candidates: [{ content: { parts: [{ text: 'Hel' }, { text: 'lo' }] }, finishReason: 'MAX_TOKENS' }],
+    usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 2 }
+  });
+
+  assert.strictEqual(response.model, 'gemini-pro');
+  assert.deepStrictEqual(response.choices, [{ index: 0, message: { role: 'assistant', content: 'Hello' }, finish_reason: 'length' }]);
+  assert.deepStrictEqual(response.usage, { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 });
+});
+
+test('createGeminiStreamTransform emits OpenAI chunks with the role once and usage on the last', async () => {
+  const events = await collectEvents(createGeminiStreamTransform('gemini-pro'), [
+    'data: {"candidates":[{"content":{"parts":[{"text":"Hel"}]}}]}\n\n',
+    'data: {"candidates":[{"content":{"parts":[{"text":"lo"}]},"finishReason":"STOP"}],',
+    '"usageMetadata":{"promptTokenCount":3,"candidatesTokenCount":2,"totalTokenCount":5}}\n\n'
+  ]);
+
+  assert.strictEqual(events.pop(), '[DONE]');
+  assert.deepStrictEqual(events.map(event => event.choices[0]), [
+    { index: 0, delta: { role: 'assistant', content: 'Hel' }, finish_reason: null },
+    { index: 0, delta: { content: 'lo' }, finish_reason: 'stop' }
+  ]);
+  assert.strictEqual(events[0].id, events[1].id);
+  assert.strictEqual(events[0].usage, undefined);
+  assert.deepStrictEqual(events[1].usage, { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 });
+});
+
+test('buildGeminiPayload sends data URI images inline and rejects URLs that were not inlined', () => {
+  const image = url => [{ role: 'user', content: [{ type: 'image_url', image_url: { url } }] }];
+
+  assert.deepStrictEqual(buildGeminiPayload(image('data:image/png;base64,iVBORw0KGgo=')).contents[0].parts, [
+    { inline_data: { mime_type: 'image/png', data: 'iVBORw0KGgo=' } }
+  ]);
+  assert.throws(() => buildGeminiPayload(image('https://images.test/cat.png')), { statusCode: 400 });
+});
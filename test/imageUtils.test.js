@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// config.js reads the environment when it is first required
+process.env.VISION_IMAGE_URL_HOSTS = 'localhost,127.0.0.1,::1,::ffff:7f00:1,images.test';
+const { fetchImage } = require('../src/utils/imageUtils');
+
+/**
+ * Checks that fetching a URL fails with a 400 and the given message
+ * @param {string} url - Image URL
+ * @param {string} message - Expected error message
+ * @returns {Promise<string>} - What fetchImage logged about the failure
+ */
+async function assertRejected(url, message) {
+  const originalLog = console.log;
+  let logged = '';
+  console.log = (...args) => { logged += args.join(' '); };
+  try {
+    await assert.rejects(fetchImage(url), { statusCode: 400, message });
+  } finally {
+    console.log = originalLog;
+  }
+  return logged;
+}
+
+test('fetchImage refuses hosts outside VISION_IMAGE_URL_HOSTS and non-http URLs', async () => {
+  await assertRejected('https://elsewhere.test/cat.png', 'Image URLs from this host are not allowed');
+  await assertRejected('file:///etc/passwd', 'Image URLs from this host are not allowed');
+  await assertRejected('not a url', 'Image URLs from this host are not allowed');
+});
+
+test('fetchImage refuses private address literals even when allowed by name', async () => {
+  await assertRejected('http://127.0.0.1/cat.png', 'Image URLs from this host are not allowed');
+  await assertRejected('http://[::1]/cat.png', 'Image URLs from this host are not allowed');
+  await assertRejected('http://[::ffff:127.0.0.1]/cat.png', 'Image URLs from this host are not allowed');
+});
+
+test('fetchImage refuses names resolving to private addresses with a generic error', async () => {
+  const logged = await assertRejected('http://localhost:9/cat.png', 'Could not fetch the image URL');
+  assert.match(logged, /resolves to a private address/);
+});
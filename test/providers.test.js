@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// providers.js loads the registry and config.js reads the environment when first required
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-test-'));
+const providersFile = path.join(tempDir, 'providers.json');
+fs.writeFileSync(providersFile, JSON.stringify([
+  { name: 'main', baseUrl: 'http://main.test/v1' },
+  { name: 'backup', baseUrl: 'http://backup.test/v1' },
+  { name: 'gemini', baseUrl: 'http://gemini.test/v1beta', apiStyle: 'gemini', models: ['gemini-*'] },
+  { name: 'embedder', baseUrl: 'http://embed.test/v1', endpoints: ['embeddings'], models: ['embed-*'] }
+]));
+Object.assign(process.env, {
+  PROVIDERS_FILE: providersFile,
+  DEFAULT_PROVIDER: 'main',
+  MODEL_FALLBACKS: JSON.stringify({
+    'primary': ['primary@backup', 'gemini-pro', { model: 'other', provider: 'backup' }, 'lost@missing'],
+    'family-*': ['family-base']
+  }),
+  MODEL_FALLBACK_TARGET: 'last-resort'
+});
+const { resolveTargets } = require('../src/config/providers');
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Lists targets as "model@provider" strings
+ * @param {Array<Object>} targets - Targets as { model, provider }
+ * @returns {Array<string>} - Target descriptions
+ */
+function describe(targets) {
+  return targets.map(target => `${target.model}@${target.provider.name}`);
+}
+
+test('resolveTargets follows the fallback chain, then MODEL_FALLBACK_TARGET', () => {
+  const errors = [];
+  const originalError = console.error;
+  console.error = message => errors.push(message);
+  try {
+    assert.deepStrictEqual(describe(resolveTargets('primary')), [
+      'primary@main',
+      'primary@backup',
+      'gemini-pro@gemini',
+      'other@backup',
+      'last-resort@main'
+    ]);
+  } finally {
+    console.error = originalError;
+  }
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /Unknown provider "missing"/);
+});
+
+test('resolveTargets matches glob keys and drops duplicate targets', () => {
+  assert.deepStrictEqual(describe(resolveTargets('family-large')), ['family-large@main', 'family-base@main', 'last-resort@main']);
+  assert.deepStrictEqual(describe(resolveTargets('last-resort')), ['last-resort@main']);
+});
+
+test('resolveTargets picks providers that serve the request kind', () => {
+  assert.deepStrictEqual(describe(resolveTargets('embed-small', 'embeddings')), ['embed-small@embedder', 'last-resort@main']);
+  assert.deepStrictEqual(describe(resolveTargets('embed-small', 'chat')), ['embed-small@main', 'last-resort@main']);
+});
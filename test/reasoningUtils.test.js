@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// config.js reads the environment when it is first required
+process.env.REASONING_OUTPUT = 'separate';
+const { createReasoningParser, separateReasoning } = require('../src/utils/reasoningUtils');
+
+/**
+ * Feeds content deltas to a new parser and joins everything it returns
+ * @param {Array<string>} pieces - Streamed content pieces
+ * @returns {Object} - { content, reasoning, emitted } where emitted lists the content returned per push
+ */
+function parseStream(pieces) {
+  const parser = createReasoningParser();
+  const result = { content: '', reasoning: '', emitted: [] };
+  pieces.forEach(piece => {
+    const out = parser.push({ content: piece });
+    result.content += out.content;
+    result.reasoning += out.reasoning;
+    result.emitted.push(out.content);
+  });
+  const tail = parser.flush();
+  result.content += tail.content;
+  result.reasoning += tail.reasoning;
+  return result;
+}
+
+test('createReasoningParser holds back tags split across chunks', () => {
+  const result = parseStream(['<th', 'ink>plan', ' it</thi', 'nk>', '\n\nAnswer']);
+  assert.strictEqual(result.reasoning, 'plan it');
+  assert.strictEqual(result.content, 'Answer');
+  assert.deepStrictEqual(result.emitted, ['', '', '', '', 'Answer']);
+});
+
+test('createReasoningParser releases a held-back partial tag that never completes', () => {
+  const result = parseStream(['a < b <th']);
+  assert.strictEqual(result.emitted[0], 'a < b ');
+  assert.strictEqual(result.content, 'a < b <th');
+  assert.strictEqual(result.reasoning, '');
+});
+
+test('createReasoningParser passes upstream reasoning fields through', () => {
+  const parser = createReasoningParser();
+  assert.deepStrictEqual(parser.push({ reasoning_content: 'step', content: '' }), { content: '', reasoning: 'step' });
+  assert.deepStrictEqual(parser.push({ reasoning: 'more', content: 'done' }), { content: 'done', reasoning: 'more' });
+});
+
+test('separateReasoning moves inline and upstream reasoning into the given field', () => {
+  assert.deepStrictEqual(
+    separateReasoning({ role: 'assistant', content: '<think>why</think> because', reasoning_content: 'first ' }, 'thinking'),
+    { role: 'assistant', content: 'because', thinking: 'first why' }
+  );
+  assert.deepStrictEqual(separateReasoning({ role: 'assistant', content: '<think>why</think>ok' }, null), { role: 'assistant', content: 'ok' });
+});
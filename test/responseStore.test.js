@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js reads the environment when it is first required
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-store-test-'));
+process.env.DATA_DIR = tempDir;
+const { saveResponse, getResponse, deleteResponse, getConversation } = require('../src/utils/responseStore');
+
+// Registered after the store's own exit handler, which flushes pending writes
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('stored responses chain through previous_response_id for their owner only', () => {
+  saveResponse({ id: 'resp_a', previous_response_id: null }, [{ role: 'user', content: 'Hi' }], { role: 'assistant', content: 'Hello' }, 'key-a');
+  saveResponse({ id: 'resp_b', previous_response_id: 'resp_a' }, [{ role: 'user', content: 'Again' }], { role: 'assistant', content: 'Hello again' }, 'key-a');
+
+  assert.deepStrictEqual(getConversation('resp_b', 'key-a').map(message => message.content), ['Hi', 'Hello', 'Again', 'Hello again']);
+  assert.strictEqual(getResponse('resp_b', 'key-a').id, 'resp_b');
+  assert.strictEqual(getResponse('resp_b', 'key-b'), null);
+  assert.strictEqual(getResponse('resp_b'), null);
+  assert.strictEqual(getConversation('resp_b', 'key-b'), null);
+});
+
+test('deleteResponse removes only the caller\'s responses', () => {
+  saveResponse({ id: 'resp_c', previous_response_id: null }, [], { role: 'assistant', content: '' }, 'key-a');
+
+  assert.strictEqual(deleteResponse('resp_c', 'key-b'), false);
+  assert.strictEqual(deleteResponse('resp_c', 'key-a'), true);
+  assert.strictEqual(getResponse('resp_c', 'key-a'), null);
+});
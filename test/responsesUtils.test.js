@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { createSSEParser } = require('../src/utils/streamUtils');
+const {
+  toChatMessages,
+  toChatParams,
+  toOutputItems,
+  toAssistantMessage,
+  createResponseObject,
+  createResponsesStreamTransform
+} = require('../src/utils/responsesUtils');
+
+/**
+ * Runs SSE text through a transform and collects the events it emits
+ * @param {Transform} transform - SSE transform
+ * @param {Array<string>} chunks - Upstream text chunks
+ * @returns {Promise<Array>} - Events as { event, data }
+ */
+async function collectEvents(transform, chunks) {
+  const events = [];
+  const parser = createSSEParser(({ event, data }) => events.push({ event, data: JSON.parse(data) }));
+  for await (const chunk of Readable.from(chunks).pipe(transform)) parser.push(chunk.toString());
+  parser.end();
+  return events;
+}
+
+test('toChatMessages converts message, function_call and function_call_output items', () => {
+  const messages = toChatMessages([
+    { role: 'developer', content: 'Be brief.' },
+    { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Weather in ' }, { type: 'input_text', text: 'Paris?' }] },
+    { type: 'reasoning', id: 'rs_1', summary: [] },
+    { type: 'function_call', call_id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' },
+    { type: 'function_call', call_id: 'call_2', name: 'get_time', arguments: { tz: 'CET' } },
+    { type: 'function_call_output', call_id: 'call_1', output: 'sunny' }
+  ]);
+
+  assert.deepStrictEqual(messages, [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Weather in Paris?' },
+    {
+      role: 'assistant',
+      content: null,
+      tool_calls: [
+        { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+        { id: 'call_2', type: 'function', function: { name: 'get_time', arguments: '{"tz":"CET"}' } }
+      ]
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: 'sunny' }
+  ]);
+  assert.deepStrictEqual(toChatMessages('Hi'), [{ role: 'user', content: 'Hi' }]);
+});
+
+test('toChatParams maps output limits, text formats and function tools only', () => {
+  const params = toChatParams({
+    max_output_tokens: 50,
+    temperature: 0.3,
+    text: { format: { type: 'json_schema', name: 'answer', schema: { type: 'object' } } },
+    tools: [{ type: 'function', name: 'lookup', parameters: { type: 'object' } }, { type: 'web_search' }],
+    tool_choice: { type: 'function', name: 'lookup' }
+  });
+
+  assert.deepStrictEqual(params, {
+    max_tokens: 50,
+    temperature: 0.3,
+    response_format: { type: 'json_schema', json_schema: { name: 'answer', schema: { type: 'object' } } },
+    tools: [{ type: 'function', function: { name: 'lookup', description: undefined, parameters: { type: 'object' } } }],
+    tool_choice: { type: 'function', function: { name: 'lookup' } }
+  });
+});
+
+test('toOutputItems and toAssistantMessage round-trip an assistant message', () => {
+  const output = toOutputItems({
+    role: 'assistant',
+    content: '<think>hmm</think>Sure',
+    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{}' } }]
+  });
+
+  assert.deepStrictEqual(output.map(item => item.type), ['reasoning', 'message', 'function_call']);
+  assert.deepStrictEqual(output[0].content, [{ type: 'reasoning_text', text: 'hmm' }]);
+  assert.deepStrictEqual(toAssistantMessage(output), {
+    role: 'assistant',
+    content: 'Sure',
+    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{}' } }]
+  });
+});
+
+test('createResponsesStreamTransform emits numbered item events and the finished response', async () => {
+  let finished = null;
+  const response = createResponseObject('gpt-test', { max_output_tokens: 5 });
+  const events = await collectEvents(createResponsesStreamTransform(response, 4, result => { finished = result; }), [
+    'data: {"choices":[{"index":0,"delta":{"role":"assistant","content":"Hel"}}]}\n\n',
+    'data: {"choices":[{"index":0,"delta":{"content":"lo"},"finish_reason":"length"}]}\n\n',
+    'data: [DONE]\n\n'
+  ]);
+
+  assert.deepStrictEqual(events.map(event => event.event), [
+    'response.created',
+    'response.in_progress',
+    'response.output_item.added',
+    'response.content_part.added',
+    'response.output_text.delta',
+    'response.output_text.delta',
+    'response.output_text.done',
+    'response.content_part.done',
+    'response.output_item.done',
+    'response.incomplete'
+  ]);
+  events.forEach((event, index) => assert.strictEqual(event.data.sequence_number, index));
+  assert.strictEqual(events[6].data.text, 'Hello');
+  assert.strictEqual(finished.id, response.id);
+  assert.strictEqual(finished.status, 'incomplete');
+  assert.deepStrictEqual(finished.incomplete_details, { reason: 'max_output_tokens' });
+  assert.deepStrictEqual(events[9].data.response, finished);
+});
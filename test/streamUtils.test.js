@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable, Writable } = require('stream');
+const { createSSEParser, createSSETransform, streamToClient } = require('../src/utils/streamUtils');
+
+/**
+ * Creates a response stand-in that reads slowly: a small buffer and a delay
+ * per chunk, so writers have to wait for 'drain'
+ * @returns {Writable} - Writable collecting everything written in `received`
+ */
+function createSlowResponse() {
+  const res = new Writable({
+    highWaterMark: 16,
+    write(chunk, encoding, callback) {
+      res.received += chunk.toString();
+      setTimeout(callback, 2);
+    }
+  });
+  res.received = '';
+  return res;
+}
+
+/**
+ * Creates an upstream SSE stream of numbered events
+ * @param {number} count - Number of events
+ * @returns {Readable} - Readable stream
+ */
+function createSource(count) {
+  const events = Array.from({ length: count }, (_, i) => `data: {"n":${i}}\n\n`);
+  return Readable.from([...events, 'data: [DONE]\n\n']);
+}
+
+/**
+ * Creates a transform writing one line per event and a final line on flush
+ * @returns {Transform} - Transform stream
+ */
+function createLineTransform() {
+  return createSSETransform(
+    (stream, data) => stream.push(`{"n":${data.n},"done":false}\n`),
+    stream => stream.push('{"done":true}\n')
+  );
+}
+
+test('streamToClient delivers all output to a slow consumer before ending', async () => {
+  const res = createSlowResponse();
+  const finished = new Promise(resolve => res.on('finish', resolve));
+  streamToClient(res, createSource(50), { transforms: [createLineTransform()] });
+  await finished;
+
+  const lines = res.received.trim().split('\n');
+  assert.strictEqual(lines.length, 51);
+  assert.strictEqual(lines[49], '{"n":49,"done":false}');
+  assert.strictEqual(lines[50], '{"done":true}');
+});
+
+test('streamToClient ends a failed stream with the error chunk after the output sent so far', async () => {
+  const res = createSlowResponse();
+  const finished = new Promise(resolve => res.on('finish', resolve));
+  const source = Readable.from(['data: {"n":0}\n\n', 'data: {"n":1}\n\n', 'event: error\ndata: {"error":{"message":"boom"}}\n\n']);
+  streamToClient(res, source, {
+    transforms: [createLineTransform()],
+    formatError: message => `{"error":${JSON.stringify(message)}}\n`
+  });
+  await finished;
+
+  const lines = res.received.trim().split('\n');
+  assert.strictEqual(lines.pop(), '{"error":"Upstream stream error: boom"}');
+  lines.forEach((line, index) => assert.strictEqual(line, `{"n":${index},"done":false}`));
+});
+
+/**
+ * Feeds chunks to a new SSE parser and collects the events it dispatches
+ * @param {Array} chunks - Text chunks
+ * @returns {Array} - Dispatched events
+ */
+function parseEvents(chunks) {
+  const events = [];
+  const parser = createSSEParser(event => events.push(event));
+  chunks.forEach(chunk => parser.push(chunk));
+  parser.end();
+  return events;
+}
+
+test('createSSEParser joins multi-line data and keeps event types and ids', () => {
+  const events = parseEvents(['event: delta\nid: 7\ndata: first\ndata: second\n\n: comment\ndata: {"a":1}\n\n']);
+  assert.deepStrictEqual(events, [
+    { event: 'delta', data: 'first\nsecond', id: '7' },
+    { event: 'message', data: '{"a":1}', id: '7' }
+  ]);
+});
+
+test('createSSEParser handles a BOM, CR, CRLF split across chunks and a missing final blank line', () => {
+  const events = parseEvents(['\uFEFFdata: a\r', '\n\r', '\ndata:b\r\rdata: c']);
+  assert.deepStrictEqual(events.map(event => event.data), ['a', 'b', 'c']);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toOpenAIMessages, createToolCallAccumulator } = require('../src/utils/toolUtils');
+const { buildGeminiPayload, toOpenAIChatResponse } = require('../src/utils/geminiUtils');
+
+test('createToolCallAccumulator joins streamed fragments by index', () => {
+  const accumulator = createToolCallAccumulator();
+  assert.strictEqual(accumulator.hasCalls(), false);
+
+  accumulator.add([{ index: 0, id: 'call_a', type: 'function', function: { name: 'get_weather', arguments: '' } }]);
+  accumulator.add([{ index: 1, id: 'call_b', function: { name: 'get_time', arguments: '{"tz":' } }]);
+  accumulator.add([{ index: 0, function: { arguments: '{"city":' } }]);
+  accumulator.add([{ index: 0, function: { arguments: '"Paris"}' } }, { index: 1, function: { arguments: '"UTC"}' } }]);
+
+  assert.strictEqual(accumulator.hasCalls(), true);
+  assert.deepStrictEqual(accumulator.toOpenAI(), [
+    { id: 'call_a', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+    { id: 'call_b', type: 'function', function: { name: 'get_time', arguments: '{"tz":"UTC"}' } }
+  ]);
+  assert.deepStrictEqual(accumulator.toOllama(), [
+    { function: { name: 'get_weather', arguments: { city: 'Paris' } } },
+    { function: { name: 'get_time', arguments: { tz: 'UTC' } } }
+  ]);
+});
+
+test('createToolCallAccumulator uses positions and object arguments when upstreams omit them', () => {
+  const accumulator = createToolCallAccumulator();
+  accumulator.add([{ function: { name: 'lookup', arguments: { id: 1 } } }]);
+
+  const [call] = accumulator.toOpenAI();
+  assert.match(call.id, /^call_/);
+  assert.deepStrictEqual(call.function, { name: 'lookup', arguments: '{"id":1}' });
+});
+
+test('toOpenAIMessages links Ollama tool results to their calls', () => {
+  const messages = toOpenAIMessages([
+    { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }] },
+    { role: 'tool', tool_name: 'get_weather', content: 'sunny' }
+  ]);
+
+  const call = messages[0].tool_calls[0];
+  assert.strictEqual(messages[0].content, null);
+  assert.deepStrictEqual(call.function, { name: 'get_weather', arguments: '{"city":"Paris"}' });
+  assert.deepStrictEqual(messages[1], { role: 'tool', content: 'sunny', tool_call_id: call.id });
+});
+
+test('Gemini payloads and responses carry tool calls and their results', () => {
+  const parameters = { type: 'object', properties: { city: { type: 'string' } }, additionalProperties: false };
+  const payload = buildGeminiPayload([
+    { role: 'user', content: 'Weather?' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'call_a', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+    { role: 'tool', tool_call_id: 'call_a', content: '{"sky":"sunny"}' }
+  ], { tools: [{ type: 'function', function: { name: 'get_weather', parameters } }] });
+
+  assert.deepStrictEqual(payload.contents.slice(1), [
+    { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { sky: 'sunny' } } }] }
+  ]);
+  assert.deepStrictEqual(payload.tools, [{
+    functionDeclarations: [{ name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } }]
+  }]);
+
+  const response = toOpenAIChatResponse('gemini-pro', {
+    candidates: [{ content: { parts: [{ functionCall: { name: 'get_weather', args: { city: 'Rome' } } }] }, finishReason: 'STOP' }]
+  });
+  const { message, finish_reason: finishReason } = response.choices[0];
+  assert.strictEqual(finishReason, 'tool_calls');
+  assert.strictEqual(message.content, null);
+  assert.deepStrictEqual(message.tool_calls[0].function, { name: 'get_weather', arguments: '{"city":"Rome"}' });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateValue } = require('../src/utils/validationUtils');
+const { openaiChat } = require('../src/config/requestSchemas');
+
+// Small schema exercising every supported keyword
+const SCHEMA = {
+  type: 'object',
+  required: ['model'],
+  properties: {
+    model: { type: 'string', minLength: 1 },
+    n: { type: 'integer', minimum: 1, maximum: 4 },
+    temperature: { type: 'number' },
+    mode: { type: 'string', enum: ['fast', 'slow'] },
+    stop: { type: ['string', 'array', 'null'], maxItems: 2, items: { type: 'string' } },
+    options: { type: 'object', additionalProperties: true, properties: { seed: { type: 'integer' } } }
+  }
+};
+
+test('validateValue accepts valid values, integers as numbers and undefined optional fields', () => {
+  assert.strictEqual(validateValue(SCHEMA, { model: 'm', n: 2, temperature: 1, stop: null, mode: undefined }, ''), null);
+});
+
+test('validateValue reports the first failure with its path and code', () => {
+  const check = value => validateValue(SCHEMA, value, '');
+
+  assert.deepStrictEqual(check({}), { param: 'model', code: 'missing_required_parameter', message: "Missing required parameter: 'model'." });
+  assert.deepStrictEqual(check({ model: 'm', n: 1.5 }), {
+    param: 'n',
+    code: 'invalid_type',
+    message: "Invalid type for 'n': expected an integer, but got a number."
+  });
+  assert.deepStrictEqual(check({ model: 'm', n: 9 }), {
+    param: 'n',
+    code: 'number_above_max_value',
+    message: "'n' must be at most 4, but got 9."
+  });
+  assert.deepStrictEqual(check({ model: 'm', mode: 'medium' }), {
+    param: 'mode',
+    code: 'invalid_value',
+    message: 'Invalid value for \'mode\': expected one of "fast" or "slow", but got "medium".'
+  });
+  assert.deepStrictEqual(check({ model: 'm', stop: ['a', 1] }), {
+    param: 'stop[1]',
+    code: 'invalid_type',
+    message: "Invalid type for 'stop[1]': expected a string, but got an integer."
+  });
+  assert.strictEqual(check({ model: 'm', stop: 7 }).message, "Invalid type for 'stop': expected a string, an array or null, but got an integer.");
+  assert.strictEqual(check({ model: 'm', options: { seed: 'x' } }).param, 'options.seed');
+  assert.strictEqual(check({ model: '' }).code, 'string_below_min_length');
+});
+
+test('validateValue strips unknown properties only when asked and only where not allowed', () => {
+  const kept = { model: 'm', extra: 1, options: { seed: 1, custom: true } };
+  assert.strictEqual(validateValue(SCHEMA, kept, ''), null);
+  assert.deepStrictEqual(Object.keys(kept), ['model', 'extra', 'options']);
+
+  const stripped = { model: 'm', extra: 1, options: { seed: 1, custom: true } };
+  assert.strictEqual(validateValue(SCHEMA, stripped, '', { stripUnknown: true }), null);
+  assert.deepStrictEqual(stripped, { model: 'm', options: { seed: 1, custom: true } });
+});
+
+test('the OpenAI chat schema checks nested message and tool fields', () => {
+  assert.strictEqual(validateValue(openaiChat, { model: 'm', messages: [{ role: 'user', content: 'Hi' }] }, ''), null);
+  assert.strictEqual(validateValue(openaiChat, { model: 'm', messages: [] }, '').code, 'array_below_min_length');
+  assert.strictEqual(validateValue(openaiChat, { model: 'm', messages: [{ role: 'robot' }] }, '').param, 'messages[0].role');
+
+  const failure = validateValue(openaiChat, { model: 'm', messages: [{ role: 'user', content: 'Hi' }], tools: [{ type: 'function', function: {} }] }, '');
+  assert.strictEqual(failure.param, 'tools[0].function.name');
+  assert.strictEqual(failure.code, 'missing_required_parameter');
+});